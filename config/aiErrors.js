@@ -0,0 +1,111 @@
+// config/aiErrors.js
+// Typed errors raised by config/aiService.js
+
+/**
+ * Base class for AI errors that routes report with a machine-readable code
+ */
+class AIError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AIError';
+    this.code = code;
+  }
+}
+
+/**
+ * The AI provider answered, but the answer could not be used
+ * (not parseable as JSON, or failed schema validation even after a repair attempt)
+ */
+class AIResponseError extends AIError {
+  /**
+   * @param {string} message - Human readable description
+   * @param {string} code - Machine-readable code (see AI_ERROR_CODES)
+   * @param {string[]} [validationErrors] - Schema violations, if any
+   */
+  constructor(message, code, validationErrors = []) {
+    super(message, code);
+    this.name = 'AIResponseError';
+    this.validationErrors = validationErrors;
+  }
+}
+
+/**
+ * The AI provider could not be reached in time
+ * (timed out, overloaded after retries, or the circuit breaker is open)
+ */
+class AIUnavailableError extends AIError {
+  /**
+   * @param {string} message - Human readable description
+   * @param {string} code - Machine-readable code (see AI_ERROR_CODES)
+   * @param {number|null} [retryAfterSeconds] - When the client may retry, if known
+   */
+  constructor(message, code, retryAfterSeconds = null) {
+    super(message, code);
+    this.name = 'AIUnavailableError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+const AI_ERROR_CODES = {
+  UNPARSEABLE: 'AI_RESPONSE_UNPARSEABLE',
+  INVALID: 'AI_RESPONSE_INVALID',
+  TIMEOUT: 'AI_TIMEOUT',
+  UNAVAILABLE: 'AI_PROVIDER_UNAVAILABLE',
+  CIRCUIT_OPEN: 'AI_CIRCUIT_OPEN'
+};
+
+/**
+ * Get the HTTP status, headers and response body for an AI error
+ * Returns null for errors that are not AI errors
+ */
+function describeAIError(error) {
+  if (error instanceof AIResponseError) {
+    return {
+      status: 502,
+      headers: {},
+      body: {
+        error: 'AI service returned an invalid response',
+        code: error.code,
+        details: error.message,
+        validationErrors: error.validationErrors.length > 0 ? error.validationErrors : undefined
+      }
+    };
+  }
+
+  if (error instanceof AIUnavailableError) {
+    return {
+      status: error.code === AI_ERROR_CODES.TIMEOUT ? 504 : 503,
+      headers: error.retryAfterSeconds ? { 'Retry-After': String(error.retryAfterSeconds) } : {},
+      body: {
+        error: 'AI service is temporarily unavailable',
+        code: error.code,
+        details: error.message,
+        retryAfter: error.retryAfterSeconds || undefined
+      }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Send the standard response for AI errors
+ * Returns true if the error was handled, false if the caller should handle it
+ */
+function respondWithAIError(res, error) {
+  const described = describeAIError(error);
+  if (described) {
+    res.status(described.status).set(described.headers).json(described.body);
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  AIError,
+  AIResponseError,
+  AIUnavailableError,
+  AI_ERROR_CODES,
+  describeAIError,
+  respondWithAIError
+};
@@ -0,0 +1,71 @@
+// config/aiProviders/anthropicProvider.js
+// Anthropic Claude implementation of the AI provider interface
+const Anthropic = require('@anthropic-ai/sdk');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+const anthropic = new Anthropic({
+  apiKey: process.env.ANTHROPIC_API_KEY,
+});
+
+/**
+ * Convert a Claude message to the provider response shape
+ */
+function formatResponse(message, requestedModel) {
+  return {
+    text: message.content[0].text,
+    model: message.model || requestedModel,
+    usage: {
+      inputTokens: message.usage?.input_tokens || 0,
+      outputTokens: message.usage?.output_tokens || 0
+    }
+  };
+}
+
+/**
+ * Send a message request to Claude and return the text response
+ * @param {Object} request
+ * @param {string} request.task - Task identifier (unused here, used by other providers)
+ * @param {Array} request.messages - Anthropic-style messages array
+ * @param {number} request.maxTokens - Maximum tokens to generate
+ * @param {AbortSignal} [request.signal] - Aborts the request (timeouts)
+ * @param {number} [request.timeoutMs] - Request timeout
+ */
+async function createMessage({ messages, maxTokens, signal, timeoutMs }) {
+  const model = process.env.ANTHROPIC_MODEL || DEFAULT_MODEL;
+
+  // Retries are handled by config/aiService.js, so the SDK's own are disabled
+  const message = await anthropic.messages.create({
+    model,
+    max_tokens: maxTokens,
+    messages,
+  }, { signal, timeout: timeoutMs, maxRetries: 0 });
+
+  return formatResponse(message, model);
+}
+
+/**
+ * Stream a message request from Claude, reporting text as it is generated
+ * @param {Object} request - Same as createMessage, plus:
+ * @param {Function} request.onText - Called with each text delta
+ */
+async function streamMessage({ messages, maxTokens, onText, signal, timeoutMs }) {
+  const model = process.env.ANTHROPIC_MODEL || DEFAULT_MODEL;
+
+  const stream = anthropic.messages.stream({
+    model,
+    max_tokens: maxTokens,
+    messages,
+  }, { signal, timeout: timeoutMs, maxRetries: 0 });
+
+  stream.on('text', onText);
+  const message = await stream.finalMessage();
+
+  return formatResponse(message, model);
+}
+
+module.exports = {
+  name: 'anthropic',
+  createMessage,
+  streamMessage
+};
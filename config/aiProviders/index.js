@@ -0,0 +1,49 @@
+// config/aiProviders/index.js
+// Selects the AI provider used by config/aiService.js
+//
+// Every provider exposes the same interface:
+//   name: string
+//   createMessage({ task, context, messages, maxTokens }) => Promise<{ text, model, usage }>
+//   streamMessage({ task, context, messages, maxTokens, onText }) => Promise<{ text, model, usage }>
+//     (same as createMessage, but calls onText with each chunk of text as it arrives)
+//   (usage is { inputTokens, outputTokens })
+//
+// Requests may also carry `signal` (AbortSignal) and `timeoutMs`; retries are
+// handled by config/aiService.js, so providers should not retry on their own.
+//
+// `task` identifies the kind of request (e.g. 'analyzeImage') and `context`
+// carries the raw inputs, so offline providers can answer without parsing prompts.
+
+const PROVIDERS = {
+  anthropic: () => require('./anthropicProvider'),
+  mock: () => require('./mockProvider')
+};
+
+let activeProvider = null;
+
+/**
+ * Get the provider selected by the AI_PROVIDER env var (defaults to 'anthropic')
+ */
+function getProvider() {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  const providerName = (process.env.AI_PROVIDER || 'anthropic').toLowerCase();
+  const loadProvider = PROVIDERS[providerName];
+
+  if (!loadProvider) {
+    throw new Error(
+      `Unknown AI_PROVIDER "${providerName}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  activeProvider = loadProvider();
+  console.log(`🤖 AI provider: ${activeProvider.name}`);
+  return activeProvider;
+}
+
+module.exports = {
+  getProvider,
+  PROVIDERS
+};
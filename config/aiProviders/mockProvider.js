@@ -0,0 +1,287 @@
+// config/aiProviders/mockProvider.js
+// Deterministic offline provider backed by fixture data.
+// Enable with AI_PROVIDER=mock to run the analyze → find-matches flow
+// without network access or an API key (CI, local development).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'dishes.json');
+const MOCK_MODEL = 'mock-fixtures';
+const STREAM_CHUNK_SIZE = 16;
+
+let fixtures = null;
+
+/**
+ * Load fixtures once (AI_MOCK_FIXTURES can point to a custom fixtures file)
+ */
+function loadFixtures() {
+  if (!fixtures) {
+    const fixturesPath = process.env.AI_MOCK_FIXTURES || DEFAULT_FIXTURES_PATH;
+    fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8')).dishes;
+  }
+  return fixtures;
+}
+
+/**
+ * Pick a fixture for an image - the same bytes always map to the same dish
+ */
+function pickFixtureForImage(base64Image) {
+  const dishes = loadFixtures();
+  const hash = crypto.createHash('sha256').update(base64Image || '').digest();
+  return dishes[hash.readUInt32BE(0) % dishes.length];
+}
+
+/**
+ * Pick 2-3 distinct fixtures for a table photo, laid out side by side
+ */
+function pickFixturesForTable(base64Image) {
+  const dishes = loadFixtures();
+  const hash = crypto.createHash('sha256').update(base64Image || '').digest();
+  const count = Math.min(dishes.length, 2 + (hash[4] % 2));
+  const first = hash.readUInt32BE(0) % dishes.length;
+  const width = Math.round(100 / count) / 100;
+
+  return Array.from({ length: count }, (_, i) => ({
+    ...dishes[(first + i) % dishes.length].analysis,
+    region: { x: Math.round(i * width * 100) / 100, y: 0.2, width, height: 0.6 }
+  }));
+}
+
+/**
+ * Build menu items from the fixtures, one menu section per cuisine
+ * Prices are derived from the calories so they stay stable between runs
+ */
+function pickMenuItems(images = []) {
+  const dishes = loadFixtures();
+  const hash = crypto.createHash('sha256').update(images.map(image => image.base64Image).join('')).digest();
+  const count = Math.min(dishes.length, 3 + (hash[4] % 2) * images.length);
+  const first = hash.readUInt32BE(0) % dishes.length;
+
+  return Array.from({ length: count }, (_, i) => {
+    const { analysis } = dishes[(first + i) % dishes.length];
+    return {
+      name: analysis.name,
+      description: analysis.description,
+      price: Math.round(analysis.estimatedCalories / 50) + 0.99,
+      category: analysis.cuisine,
+      ingredients: analysis.ingredients
+    };
+  });
+}
+
+/**
+ * Find the fixture whose keywords best overlap the given text
+ * @returns {Object|null} The fixture, or null if no keyword matches
+ */
+function findFixtureByKeywords(text) {
+  const dishes = loadFixtures();
+  const words = new Set((text || '').toLowerCase().split(/\W+/).filter(w => w.length > 2));
+
+  let best = null;
+  let bestScore = 0;
+  dishes.forEach(dish => {
+    const score = dish.keywords.filter(keyword => words.has(keyword)).length;
+    if (score > bestScore) {
+      best = dish;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Pick the fixture whose keywords best overlap the given text
+ * Falls back to a hash of the text so unknown input is still deterministic
+ */
+function pickFixtureForText(text) {
+  const best = findFixtureByKeywords(text);
+  if (best) {
+    return best;
+  }
+
+  const dishes = loadFixtures();
+  const hash = crypto.createHash('sha256').update(text || '').digest();
+  return dishes[hash.readUInt32BE(0) % dishes.length];
+}
+
+/**
+ * Clarification questions for an analysis - from the fixture's "clarification"
+ * list when it has one, otherwise a yes/no confirmation of the dish name
+ */
+function buildClarificationQuestions(analysis) {
+  const name = analysis.canonicalName || analysis.name;
+  const fixture = loadFixtures().find(dish => dish.analysis.name === name);
+  if (fixture && fixture.clarification) {
+    return fixture.clarification;
+  }
+  return [{ question: `Is this ${name}?`, options: ['Yes', 'No'] }];
+}
+
+/**
+ * Refine an analysis from clarification answers - answers that mention another
+ * fixture's keywords switch to that dish, otherwise the dish is confirmed
+ */
+function refineAnalysis(analysis, clarifications = []) {
+  const answers = clarifications.map(({ answer }) => answer).join(' ');
+  const fixture = findFixtureByKeywords(answers);
+  const refined = fixture ? fixture.analysis : analysis;
+  return { ...refined, confidence: Math.max(refined.confidence, 90) };
+}
+
+/**
+ * Add the canonical English fields to a fixture analysis and "translate" it
+ * There are no real translations - other languages get the language code
+ * appended to the name, cuisine and ingredients, so localized output is recognizable
+ */
+function localizeAnalysis(analysis, language = 'en') {
+  const canonicalName = analysis.canonicalName || analysis.name;
+  const canonicalCuisine = analysis.canonicalCuisine || analysis.cuisine;
+  const canonicalIngredients = analysis.canonicalIngredients || analysis.ingredients;
+  const translate = (text) => (language === 'en' ? text : `${text} [${language}]`);
+
+  return {
+    ...analysis,
+    name: translate(canonicalName),
+    canonicalName,
+    cuisine: translate(canonicalCuisine),
+    canonicalCuisine,
+    ingredients: canonicalIngredients.map(translate),
+    canonicalIngredients
+  };
+}
+
+// Ingredients the mock recipe swaps for tofu when a vegetarian or vegan recipe is requested
+const MOCK_MEAT_WORDS = ['pork', 'chicken', 'beef', 'lamb', 'fish', 'shrimp', 'bacon'];
+
+/**
+ * Build a recipe from a dish analysis - one step per ingredient, quantities
+ * scaled by servings, meat swapped for tofu for vegetarian/vegan constraints
+ */
+function buildRecipe({ dish, servings = 2, dietaryConstraints = [], language }) {
+  const meatFree = dietaryConstraints.includes('vegetarian') || dietaryConstraints.includes('vegan');
+  const substitutions = [];
+  const ingredientNames = (dish.canonicalIngredients || dish.ingredients || []).map(name => {
+    if (meatFree && MOCK_MEAT_WORDS.some(word => name.toLowerCase().includes(word))) {
+      substitutions.push({ original: name, replacement: 'firm tofu', reason: 'meat-free recipe requested' });
+      return 'firm tofu';
+    }
+    return name;
+  });
+
+  const recipe = {
+    title: `Homemade ${dish.canonicalName || dish.name}`,
+    description: dish.description || '',
+    servings,
+    prepTimeMinutes: 15,
+    cookTimeMinutes: 5 * ingredientNames.length,
+    totalTimeMinutes: 15 + 5 * ingredientNames.length,
+    difficulty: ingredientNames.length > 4 ? 'medium' : 'easy',
+    ingredients: ingredientNames.map(name => ({ name, quantity: 50 * servings, unit: 'g' })),
+    steps: ingredientNames.map((name, index) => ({
+      step: index + 1,
+      instruction: `Prepare the ${name} and add it to the pan.`,
+      durationMinutes: 5
+    })),
+    equipment: ['chef\'s knife', 'cutting board', 'large pan'],
+    dietaryInfo: dietaryConstraints,
+    substitutions
+  };
+
+  return language === 'en' || !language ? recipe : { ...recipe, title: `${recipe.title} [${language}]` };
+}
+
+/**
+ * Build the JSON payload a real model would return for each task
+ */
+function buildResponse(task, context = {}) {
+  switch (task) {
+    case 'analyzeImage':
+      return localizeAnalysis(pickFixtureForImage(context.base64Image).analysis, context.language);
+
+    case 'detectDishes':
+      return {
+        dishes: pickFixturesForTable(context.base64Image)
+          .map(dish => localizeAnalysis(dish, context.language))
+      };
+
+    case 'extractMenu':
+      return { dishes: pickMenuItems(context.images) };
+
+    case 'analyzeText':
+      return localizeAnalysis(pickFixtureForText(context.description).analysis, context.language);
+
+    case 'nutrition': {
+      const dish = pickFixtureForText(context.dishName);
+      return { dishName: context.dishName, ...dish.nutrition };
+    }
+
+    case 'recipe':
+      return buildRecipe(context);
+
+    case 'clarify':
+      return { questions: buildClarificationQuestions(context.analysis) };
+
+    case 'refineAnalysis':
+      return localizeAnalysis(refineAnalysis(context.analysis, context.clarifications), context.language);
+
+    case 'testConnection':
+      return 'AI Service Connected';
+
+    default:
+      throw new Error(`Mock provider has no fixture for task "${task}"`);
+  }
+}
+
+/**
+ * Rough token estimate (~4 characters per token) for the text parts of a prompt
+ */
+function estimateTokens(messages = []) {
+  const characters = messages.reduce((sum, message) => {
+    const parts = typeof message.content === 'string'
+      ? [{ type: 'text', text: message.content }]
+      : message.content;
+    return sum + parts
+      .filter(part => part.type === 'text')
+      .reduce((partSum, part) => partSum + part.text.length, 0);
+  }, 0);
+  return Math.ceil(characters / 4);
+}
+
+/**
+ * Return a fixture-driven response shaped like a model reply
+ */
+async function createMessage({ task, context, messages }) {
+  const response = buildResponse(task, context);
+  const text = typeof response === 'string' ? response : JSON.stringify(response);
+
+  return {
+    text,
+    model: MOCK_MODEL,
+    usage: {
+      inputTokens: estimateTokens(messages),
+      outputTokens: Math.ceil(text.length / 4)
+    }
+  };
+}
+
+/**
+ * Stream a fixture-driven response in small chunks, like a real model would
+ */
+async function streamMessage({ task, context, messages, onText }) {
+  const message = await createMessage({ task, context, messages });
+
+  for (let i = 0; i < message.text.length; i += STREAM_CHUNK_SIZE) {
+    await new Promise(resolve => setImmediate(resolve));
+    onText(message.text.slice(i, i + STREAM_CHUNK_SIZE));
+  }
+
+  return message;
+}
+
+module.exports = {
+  name: 'mock',
+  createMessage,
+  streamMessage
+};
@@ -0,0 +1,185 @@
+// config/aiResilience.js
+// Timeouts, retry with backoff and a circuit breaker for AI provider calls
+const { AIUnavailableError, AI_ERROR_CODES } = require('./aiErrors');
+
+const RESILIENCE_CONFIG = {
+  timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 60000,
+  maxRetries: process.env.AI_MAX_RETRIES !== undefined ? parseInt(process.env.AI_MAX_RETRIES) : 2,
+  retryBaseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 500,
+  retryMaxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS) || 8000,
+  breakerFailureThreshold: parseInt(process.env.AI_BREAKER_FAILURE_THRESHOLD) || 5,
+  breakerCooldownMs: parseInt(process.env.AI_BREAKER_COOLDOWN_MS) || 30000
+};
+
+// HTTP statuses worth retrying (529 = Anthropic "overloaded")
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_ERROR_NAMES = ['APIConnectionError'];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Whether a provider call timed out (our timeout or the SDK's)
+ */
+function isTimeoutError(error) {
+  return error.code === AI_ERROR_CODES.TIMEOUT || error.name === 'APIConnectionTimeoutError' ||
+    error.constructor?.name === 'APIConnectionTimeoutError';
+}
+
+/**
+ * Whether a failed provider call may succeed if tried again
+ * Timeouts are not retried: each attempt may take AI_TIMEOUT_MS, so retrying them
+ * would keep the client waiting several times that
+ */
+function isRetryableError(error) {
+  if (RETRYABLE_STATUSES.includes(error.status)) return true;
+  if (RETRYABLE_NETWORK_CODES.includes(error.code)) return true;
+  return [error.name, error.constructor?.name].some(name => RETRYABLE_ERROR_NAMES.includes(name));
+}
+
+/**
+ * Read a provider's retry-after header (seconds), if present
+ */
+function getRetryAfterMs(error) {
+  const headers = error.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : 0;
+}
+
+/**
+ * Delay before retry `attempt` (0-based): exponential backoff with full jitter,
+ * never shorter than the provider's retry-after, capped at retryMaxDelayMs
+ */
+function getRetryDelayMs(attempt, error) {
+  const backoff = RESILIENCE_CONFIG.retryBaseDelayMs * Math.pow(2, attempt);
+  const jittered = Math.random() * backoff;
+  return Math.min(Math.max(jittered, getRetryAfterMs(error)), RESILIENCE_CONFIG.retryMaxDelayMs);
+}
+
+/**
+ * Run an async function with a timeout
+ * The function receives an AbortSignal that fires when the timeout expires
+ */
+async function withTimeout(run, timeoutMs = RESILIENCE_CONFIG.timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new AIUnavailableError(
+        `AI provider did not respond within ${timeoutMs}ms`,
+        AI_ERROR_CODES.TIMEOUT
+      ));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([run(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Circuit breaker for the AI provider
+ * - closed: calls go through; consecutive availability failures are counted
+ * - open: calls fail fast until the cooldown has passed
+ * - half_open: one trial call is let through; success closes, failure re-opens
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold, cooldownMs }) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Throw AIUnavailableError if calls are currently not allowed
+   */
+  assertCallAllowed() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+    }
+
+    if (this.state === 'open' || (this.state === 'half_open' && this.trialInFlight)) {
+      throw new AIUnavailableError(
+        'AI service is temporarily unavailable after repeated failures',
+        AI_ERROR_CODES.CIRCUIT_OPEN,
+        this.getRetryAfterSeconds()
+      );
+    }
+
+    if (this.state === 'half_open') {
+      this.trialInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a provider availability failure (not bad requests or invalid responses)
+   */
+  recordFailure(error) {
+    this.consecutiveFailures += 1;
+    this.lastFailure = {
+      message: error.message,
+      at: new Date().toISOString()
+    };
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.error(`🔌 AI circuit breaker opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Release a half-open trial that ended without an availability verdict
+   * (e.g. a bad request), so the next call can try again
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  getRetryAfterSeconds() {
+    if (this.state !== 'open') return null;
+    return Math.max(1, Math.ceil((this.openedAt + this.cooldownMs - Date.now()) / 1000));
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterSeconds: this.getRetryAfterSeconds(),
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+const circuitBreaker = new CircuitBreaker({
+  failureThreshold: RESILIENCE_CONFIG.breakerFailureThreshold,
+  cooldownMs: RESILIENCE_CONFIG.breakerCooldownMs
+});
+
+module.exports = {
+  RESILIENCE_CONFIG,
+  circuitBreaker,
+  isTimeoutError,
+  isRetryableError,
+  getRetryDelayMs,
+  withTimeout
+};
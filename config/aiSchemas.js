@@ -0,0 +1,292 @@
+// config/aiSchemas.js
+// Schemas for structured AI responses and a small validator for them.
+// Supports a JSON-Schema-like subset: type, properties, required, items,
+// enum, minimum, maximum, minLength and nullable.
+
+// Dietary tags the app understands - anything else is rejected
+const DIETARY_TAGS = [
+  'vegetarian',
+  'vegan',
+  'pescatarian',
+  'gluten-free',
+  'dairy-free',
+  'nut-free',
+  'egg-free',
+  'halal',
+  'kosher',
+  'keto',
+  'low-carb',
+  'paleo'
+];
+
+const stringArray = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const DISH_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['name', 'canonicalName', 'cuisine', 'description', 'ingredients', 'canonicalIngredients', 'estimatedCalories', 'dietaryInfo', 'confidence'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    canonicalName: { type: 'string', minLength: 1 },
+    cuisine: { type: 'string', minLength: 1 },
+    // Optional: prompt version 3 does not ask for it
+    canonicalCuisine: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    ingredients: stringArray,
+    canonicalIngredients: stringArray,
+    estimatedCalories: { type: 'number', minimum: 0 },
+    dietaryInfo: { type: 'array', items: { type: 'string', enum: DIETARY_TAGS } },
+    confidence: { type: 'number', minimum: 0, maximum: 100 }
+  }
+};
+
+const NUTRITION_SCHEMA = {
+  type: 'object',
+  required: [
+    'dishName', 'servingSize', 'calories', 'macronutrients', 'vitamins',
+    'minerals', 'ingredients', 'allergens', 'healthBenefits'
+  ],
+  properties: {
+    dishName: { type: 'string', minLength: 1 },
+    servingSize: { type: 'string', minLength: 1 },
+    calories: { type: 'number', minimum: 0 },
+    macronutrients: {
+      type: 'object',
+      required: ['protein', 'carbohydrates', 'fat', 'fiber'],
+      properties: {
+        protein: { type: 'string' },
+        carbohydrates: { type: 'string' },
+        fat: { type: 'string' },
+        fiber: { type: 'string' }
+      }
+    },
+    vitamins: stringArray,
+    minerals: stringArray,
+    ingredients: stringArray,
+    allergens: stringArray,
+    healthBenefits: stringArray
+  }
+};
+
+// Approximate location of a dish in a photo, as fractions (0-1) of image width/height
+const REGION_SCHEMA = {
+  type: 'object',
+  required: ['x', 'y', 'width', 'height'],
+  properties: {
+    x: { type: 'number', minimum: 0, maximum: 1 },
+    y: { type: 'number', minimum: 0, maximum: 1 },
+    width: { type: 'number', minimum: 0, maximum: 1 },
+    height: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const MULTI_DISH_SCHEMA = {
+  type: 'object',
+  required: ['dishes'],
+  properties: {
+    dishes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: [...DISH_ANALYSIS_SCHEMA.required, 'region'],
+        properties: {
+          ...DISH_ANALYSIS_SCHEMA.properties,
+          region: REGION_SCHEMA
+        }
+      }
+    }
+  }
+};
+
+// One dish read from a menu photo (price is null when the menu shows none)
+const MENU_ITEM_SCHEMA = {
+  type: 'object',
+  required: ['name', 'description', 'price', 'category', 'ingredients'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    price: { type: 'number', minimum: 0, nullable: true },
+    category: { type: 'string' },
+    ingredients: stringArray
+  }
+};
+
+const MENU_SCHEMA = {
+  type: 'object',
+  required: ['dishes'],
+  properties: {
+    dishes: { type: 'array', items: MENU_ITEM_SCHEMA }
+  }
+};
+
+const CLARIFICATION_SCHEMA = {
+  type: 'object',
+  required: ['questions'],
+  properties: {
+    questions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['question', 'options'],
+        properties: {
+          question: { type: 'string', minLength: 1 },
+          options: stringArray
+        }
+      }
+    }
+  }
+};
+
+// Recipe for cooking an analyzed dish at home (quantity is null for "to taste" items)
+const RECIPE_SCHEMA = {
+  type: 'object',
+  required: [
+    'title', 'description', 'servings', 'prepTimeMinutes', 'cookTimeMinutes', 'totalTimeMinutes',
+    'difficulty', 'ingredients', 'steps', 'equipment', 'dietaryInfo', 'substitutions'
+  ],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    servings: { type: 'number', minimum: 1 },
+    prepTimeMinutes: { type: 'number', minimum: 0 },
+    cookTimeMinutes: { type: 'number', minimum: 0 },
+    totalTimeMinutes: { type: 'number', minimum: 0 },
+    difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+    ingredients: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'quantity', 'unit'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          quantity: { type: 'number', minimum: 0, nullable: true },
+          unit: { type: 'string' },
+          notes: { type: 'string' }
+        }
+      }
+    },
+    steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['step', 'instruction'],
+        properties: {
+          step: { type: 'number', minimum: 1 },
+          instruction: { type: 'string', minLength: 1 },
+          durationMinutes: { type: 'number', minimum: 0, nullable: true }
+        }
+      }
+    },
+    equipment: stringArray,
+    dietaryInfo: { type: 'array', items: { type: 'string', enum: DIETARY_TAGS } },
+    substitutions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['original', 'replacement'],
+        properties: {
+          original: { type: 'string', minLength: 1 },
+          replacement: { type: 'string', minLength: 1 },
+          reason: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Get the JSON type name of a value ('array' and 'null' are distinguished from 'object')
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {string[]} List of validation errors (empty when valid)
+ */
+function validate(schema, value, path = 'response') {
+  const errors = [];
+  const actualType = typeOf(value);
+
+  if (value === null && schema.nullable) {
+    return errors;
+  }
+
+  if (schema.type === 'number' ? !Number.isFinite(value) : actualType !== schema.type) {
+    errors.push(`${path} must be of type ${schema.type} (got ${actualType})`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')} (got "${value}")`);
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be >= ${schema.minimum}`);
+  }
+
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Pick only the properties declared in the schema (recursing into objects and arrays)
+ */
+function pickSchemaFields(schema, value) {
+  if (schema.type === 'array' && schema.items) {
+    return value.map(item => pickSchemaFields(schema.items, item));
+  }
+
+  if (schema.type !== 'object' || !schema.properties || value === null) {
+    return value;
+  }
+
+  return Object.entries(schema.properties).reduce((result, [key, propertySchema]) => {
+    if (value[key] !== undefined) {
+      result[key] = pickSchemaFields(propertySchema, value[key]);
+    }
+    return result;
+  }, {});
+}
+
+module.exports = {
+  DIETARY_TAGS,
+  DISH_ANALYSIS_SCHEMA,
+  NUTRITION_SCHEMA,
+  MULTI_DISH_SCHEMA,
+  MENU_ITEM_SCHEMA,
+  MENU_SCHEMA,
+  CLARIFICATION_SCHEMA,
+  RECIPE_SCHEMA,
+  validate,
+  pickSchemaFields
+};
@@ -1,20 +1,337 @@
 // config/aiService.js
-const Anthropic = require('@anthropic-ai/sdk');
+// AI analysis functions - the model backend is selected by AI_PROVIDER (see config/aiProviders)
+const { getProvider } = require('./aiProviders');
+const { AIError, AIResponseError, AIUnavailableError, AI_ERROR_CODES } = require('./aiErrors');
+const {
+  RESILIENCE_CONFIG,
+  circuitBreaker,
+  isTimeoutError,
+  isRetryableError,
+  getRetryDelayMs,
+  withTimeout
+} = require('./aiResilience');
+const {
+  DIETARY_TAGS,
+  DISH_ANALYSIS_SCHEMA,
+  NUTRITION_SCHEMA,
+  MULTI_DISH_SCHEMA,
+  MENU_SCHEMA,
+  CLARIFICATION_SCHEMA,
+  RECIPE_SCHEMA,
+  validate,
+  pickSchemaFields
+} = require('./aiSchemas');
+const { recordAICall } = require('../utils/aiLedger');
+const { DEFAULT_LANGUAGE, getLanguageName } = require('./languages');
+const { ACTIVE_PROMPT_VERSION, resolvePromptVersion, resolveTemplateVersion, renderPrompt } = require('./prompts');
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const DIETARY_TAG_LIST = DIETARY_TAGS.map(tag => `"${tag}"`).join(', ');
+
+/**
+ * Render the language instruction appended to prompts so text values are written in the user's language
+ * Canonical fields and dietary tags stay English so matching against menu data keeps working
+ */
+function getLanguageInstruction(promptVersion, language) {
+  if (language === DEFAULT_LANGUAGE) {
+    return '';
+  }
+  return renderPrompt(promptVersion, 'languageInstruction', { languageName: getLanguageName(language) });
+}
+
+/**
+ * Tag a result with the language its text is written in and the prompt version that produced it
+ */
+function tagResult(result, { language, promptVersion }) {
+  return { ...result, language, promptVersion };
+}
+
+// Upper bound on dishes reported for one photo
+const MAX_DETECTED_DISHES = 10;
+
+// Upper bound on disambiguation questions asked for one analysis
+const MAX_CLARIFICATION_QUESTIONS = 3;
+
+/**
+ * Extract the first complete JSON object from a model response
+ * Handles markdown code fences and surrounding prose
+ * @returns {Object|null} Parsed object, or null if none could be parsed
+ */
+function extractJson(responseText) {
+  const text = responseText.replace(/```(?:json)?/gi, '').trim();
+
+  let start = text.indexOf('{');
+  while (start !== -1) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') inString = true;
+      else if (char === '{') depth++;
+      else if (char === '}' && --depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch (error) {
+          break;
+        }
+      }
+    }
+
+    start = text.indexOf('{', start + 1);
+  }
+
+  return null;
+}
+
+/**
+ * Create a parser for a streamed JSON object that reports each top-level
+ * field once its value is complete
+ * @param {Function} onPartial - Called with (field, value)
+ * @returns {Function} Feed it each text chunk
+ */
+function createPartialFieldParser(onPartial) {
+  let text = '';
+  let position = 0;
+  let start = -1;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  const reported = new Set();
+
+  // Parse everything up to a top-level separator as a complete object
+  const reportFieldsUpTo = (end) => {
+    try {
+      const fields = JSON.parse(`${text.slice(start, end)}}`);
+      Object.entries(fields).forEach(([field, value]) => {
+        if (!reported.has(field)) {
+          reported.add(field);
+          onPartial(field, value);
+        }
+      });
+    } catch (error) {
+      // Not valid JSON yet (or at all) - the final validation will report it
+    }
+  };
+
+  return (chunk) => {
+    text += chunk;
+
+    for (; position < text.length; position++) {
+      const char = text[position];
+
+      if (start === -1) {
+        if (char === '{') {
+          start = position;
+          depth = 1;
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') inString = true;
+      else if (char === '{' || char === '[') depth++;
+      else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) reportFieldsUpTo(position);
+      } else if (char === ',' && depth === 1) {
+        reportFieldsUpTo(position);
+      }
+    }
+  };
+}
+
+/**
+ * Call the provider once and record the call (tokens, latency, cost) in the ledger
+ */
+async function callProviderOnce(provider, request, { onText, callContext, promptVersion }) {
+  const startedAt = Date.now();
+
+  try {
+    const message = await withTimeout((signal) => {
+      const timedRequest = { ...request, signal, timeoutMs: RESILIENCE_CONFIG.timeoutMs };
+      return onText
+        ? provider.streamMessage({ ...timedRequest, onText })
+        : provider.createMessage(timedRequest);
+    });
+
+    recordAICall({
+      callContext,
+      task: request.task,
+      provider: provider.name,
+      model: message.model,
+      usage: message.usage,
+      promptVersion,
+      latencyMs: Date.now() - startedAt,
+      success: true
+    });
+
+    return message;
+  } catch (error) {
+    recordAICall({
+      callContext,
+      task: request.task,
+      provider: provider.name,
+      promptVersion,
+      latencyMs: Date.now() - startedAt,
+      success: false
+    });
+    throw error;
+  }
+}
+
+/**
+ * Call the provider with timeout, retries (exponential backoff with jitter)
+ * and the circuit breaker
+ * @param {Object} request - Provider request ({ task, context, messages, maxTokens })
+ * @param {Object} [options]
+ * @param {Function} [options.onText] - Stream the response, called with each text chunk
+ * @param {Object} [options.callContext] - Attribution from getAICallContext(req)
+ * @param {string} [options.promptVersion] - Prompt version recorded in the ledger
+ */
+async function callProvider(request, { onText, callContext, promptVersion } = {}) {
+  const provider = getProvider();
+  circuitBreaker.assertCallAllowed();
+
+  // A stream that already delivered text cannot be retried without repeating it
+  let textReceived = false;
+  const trackedOnText = onText && ((chunk) => {
+    textReceived = true;
+    onText(chunk);
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const message = await callProviderOnce(provider, request, { onText: trackedOnText, callContext, promptVersion });
+      circuitBreaker.recordSuccess();
+      return message;
+    } catch (error) {
+      // Timeouts count against the provider but are not tried again (504)
+      if (isTimeoutError(error)) {
+        circuitBreaker.recordFailure(error);
+        if (error instanceof AIUnavailableError) throw error;
+        throw new AIUnavailableError(
+          `AI provider did not respond in time: ${error.message}`,
+          AI_ERROR_CODES.TIMEOUT
+        );
+      }
+
+      if (!isRetryableError(error)) {
+        circuitBreaker.releaseTrial();
+        throw error;
+      }
+
+      if (attempt >= RESILIENCE_CONFIG.maxRetries || textReceived) {
+        circuitBreaker.recordFailure(error);
+        if (error instanceof AIUnavailableError) throw error;
+        throw new AIUnavailableError(
+          `AI provider unavailable after ${attempt + 1} attempt(s): ${error.message}`,
+          AI_ERROR_CODES.UNAVAILABLE,
+          circuitBreaker.getRetryAfterSeconds()
+        );
+      }
+
+      const delayMs = getRetryDelayMs(attempt, error);
+      console.warn(`⚠️ AI call for ${request.task} failed (${error.status || error.code || error.message}), retrying in ${Math.round(delayMs)}ms`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Ask the provider for a JSON response and validate it against a schema
+ * If the response is unparseable or invalid, the model is re-prompted once
+ * with the problems before an AIResponseError is thrown.
+ * When onPartial is given the first attempt is streamed and each top-level
+ * field is reported as soon as it is complete.
+ */
+async function requestStructuredResponse({ task, context, messages, maxTokens, schema, onPartial, callContext, promptVersion }) {
+  let conversation = messages;
+  let lastError = null;
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const request = {
+      task,
+      context: { ...context, repairAttempt: attempt > 0 },
+      maxTokens,
+      messages: conversation
+    };
+
+    const message = await callProvider(request, {
+      onText: onPartial && attempt === 0 ? createPartialFieldParser(onPartial) : undefined,
+      callContext,
+      promptVersion
+    });
+
+    const parsed = extractJson(message.text);
+    const validationErrors = parsed
+      ? validate(schema, parsed)
+      : ['response did not contain a JSON object'];
+
+    if (validationErrors.length === 0) {
+      return pickSchemaFields(schema, parsed);
+    }
+
+    lastError = parsed
+      ? new AIResponseError(`AI response failed validation for ${task}`, AI_ERROR_CODES.INVALID, validationErrors)
+      : new AIResponseError(`Could not parse AI response for ${task}`, AI_ERROR_CODES.UNPARSEABLE);
+
+    console.warn(`⚠️ Invalid AI response for ${task} (attempt ${attempt + 1}):`, validationErrors);
+
+    conversation = [
+      ...messages,
+      { role: 'assistant', content: message.text },
+      {
+        role: 'user',
+        content: renderPrompt(promptVersion, 'repair', {
+          validationErrors: validationErrors.map(error => `- ${error}`).join('\n')
+        })
+      }
+    ];
+  }
+
+  throw lastError;
+}
 
 /**
  * Analyze food image using Claude Vision API
  * @param {string} base64Image - Base64 encoded image data
  * @param {string} mimeType - Image MIME type (e.g., 'image/jpeg', 'image/png')
+ * @param {Object} [options]
+ * @param {Function} [options.onPartial] - Stream the analysis, called with (field, value) as fields complete
+ * @param {Object} [options.callContext] - Ledger attribution from getAICallContext(req)
+ * @param {string} [options.language] - Language code for the text values (see config/languages.js)
+ * @param {string} [options.promptVersion] - Prompt template version (see config/prompts)
  */
-async function analyzeFoodImage(base64Image, mimeType) {
+async function analyzeFoodImage(base64Image, mimeType, {
+  onPartial,
+  callContext,
+  language = DEFAULT_LANGUAGE,
+  promptVersion = ACTIVE_PROMPT_VERSION
+} = {}) {
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1024,
+    const analysis = await requestStructuredResponse({
+      task: 'analyzeImage',
+      context: { base64Image, mimeType, language },
+      onPartial,
+      callContext,
+      promptVersion,
+      maxTokens: 1024,
+      schema: DISH_ANALYSIS_SCHEMA,
       messages: [
         {
           role: 'user',
@@ -29,163 +346,390 @@ async function analyzeFoodImage(base64Image, mimeType) {
             },
             {
               type: 'text',
-              text: `Analyze this food image and provide the following information in JSON format:
-{
-  "name": "name of the dish",
-  "cuisine": "type of cuisine (e.g., Italian, Chinese, American)",
-  "description": "brief description of the dish and its appearance",
-  "ingredients": ["ingredient1", "ingredient2", "ingredient3"],
-  "estimatedCalories": number (reasonable estimate),
-  "dietaryInfo": ["vegetarian", "vegan", "gluten-free", etc. - leave empty array if none apply"],
-  "confidence": number between 0-100 (how confident you are in the identification)
-}
-
-Respond ONLY with the JSON object, no additional text.`
+              text: renderPrompt(promptVersion, 'analyzeImage', {
+                dietaryTags: DIETARY_TAG_LIST,
+                languageInstruction: getLanguageInstruction(promptVersion, language)
+              })
             }
           ],
         },
       ],
     });
 
-    const responseText = message.content[0].text;
-    
-    // Extract JSON from response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const analysis = JSON.parse(jsonMatch[0]);
-      
-      // Validate and format the response
-      return {
-        name: analysis.name || analysis.dishName || 'Unknown Dish',
-        cuisine: analysis.cuisine || 'Unknown',
-        description: analysis.description || '',
-        ingredients: analysis.ingredients || analysis.mainIngredients || [],
-        estimatedCalories: analysis.estimatedCalories || 0,
-        dietaryInfo: analysis.dietaryInfo || [],
-        confidence: analysis.confidence || 0
-      };
-    }
-    
-    throw new Error('Could not parse AI response');
+    return tagResult(analysis, { language, promptVersion });
   } catch (error) {
     console.error('Error analyzing food image:', error);
+    if (error instanceof AIError) throw error;
     throw new Error(`Failed to analyze image: ${error.message}`);
   }
 }
 
+/**
+ * Detect every distinct dish in a photo (e.g. a table spread)
+ * Each dish has the same fields as analyzeFoodImage plus an approximate region
+ * @param {string} base64Image - Base64 encoded image data
+ * @param {string} mimeType - Image MIME type (e.g., 'image/jpeg', 'image/png')
+ * @param {Object} [options]
+ * @param {Object} [options.callContext] - Ledger attribution from getAICallContext(req)
+ * @param {string} [options.language] - Language code for the text values (see config/languages.js)
+ * @param {string} [options.promptVersion] - Prompt template version (see config/prompts)
+ * @returns {Array} Detected dishes, largest/most prominent first
+ */
+async function detectDishesInImage(base64Image, mimeType, {
+  callContext,
+  language = DEFAULT_LANGUAGE,
+  promptVersion = ACTIVE_PROMPT_VERSION
+} = {}) {
+  try {
+    const result = await requestStructuredResponse({
+      task: 'detectDishes',
+      context: { base64Image, mimeType, language },
+      callContext,
+      promptVersion,
+      maxTokens: 4096,
+      schema: MULTI_DISH_SCHEMA,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'image',
+              source: {
+                type: 'base64',
+                media_type: mimeType,
+                data: base64Image,
+              },
+            },
+            {
+              type: 'text',
+              text: renderPrompt(promptVersion, 'detectDishes', {
+                maxDishes: MAX_DETECTED_DISHES,
+                dietaryTags: DIETARY_TAG_LIST,
+                languageInstruction: getLanguageInstruction(promptVersion, language)
+              })
+            }
+          ],
+        },
+      ],
+    });
+
+    return result.dishes
+      .slice(0, MAX_DETECTED_DISHES)
+      .map(dish => tagResult(dish, { language, promptVersion }));
+  } catch (error) {
+    console.error('Error detecting dishes in image:', error);
+    if (error instanceof AIError) throw error;
+    throw new Error(`Failed to detect dishes: ${error.message}`);
+  }
+}
+
+/**
+ * Extract the dishes listed on one or more restaurant menu photos
+ * @param {Array<{base64Image: string, mimeType: string}>} images - Menu pages, in order
+ * @param {Object} [options]
+ * @param {Object} [options.callContext] - Ledger attribution from getAICallContext(req)
+ * @param {string} [options.promptVersion] - Prompt template version (see config/prompts)
+ * @returns {Array} Menu items: { name, description, price, category, ingredients }
+ */
+async function extractMenuFromImages(images, { callContext, promptVersion = ACTIVE_PROMPT_VERSION } = {}) {
+  try {
+    const result = await requestStructuredResponse({
+      task: 'extractMenu',
+      context: { images },
+      callContext,
+      promptVersion,
+      maxTokens: 8192,
+      schema: MENU_SCHEMA,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            ...images.map(({ base64Image, mimeType }) => ({
+              type: 'image',
+              source: {
+                type: 'base64',
+                media_type: mimeType,
+                data: base64Image,
+              },
+            })),
+            {
+              type: 'text',
+              text: renderPrompt(promptVersion, 'extractMenu', {
+                pageCount: `${images.length} page${images.length === 1 ? '' : 's'}`
+              })
+            }
+          ],
+        },
+      ],
+    });
+
+    return result.dishes;
+  } catch (error) {
+    console.error('Error extracting menu:', error);
+    if (error instanceof AIError) throw error;
+    throw new Error(`Failed to extract menu: ${error.message}`);
+  }
+}
+
 /**
  * Analyze food description text using Claude
  * @param {string} description - Text description of the food
+ * @param {Object} [options]
+ * @param {Function} [options.onPartial] - Stream the analysis, called with (field, value) as fields complete
+ * @param {Object} [options.callContext] - Ledger attribution from getAICallContext(req)
+ * @param {string} [options.language] - Language code for the text values (see config/languages.js)
+ * @param {string} [options.promptVersion] - Prompt template version (see config/prompts)
  */
-async function analyzeFoodDescription(description) {
+async function analyzeFoodDescription(description, {
+  onPartial,
+  callContext,
+  language = DEFAULT_LANGUAGE,
+  promptVersion = ACTIVE_PROMPT_VERSION
+} = {}) {
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1024,
+    const analysis = await requestStructuredResponse({
+      task: 'analyzeText',
+      context: { description, language },
+      onPartial,
+      callContext,
+      promptVersion,
+      maxTokens: 1024,
+      schema: DISH_ANALYSIS_SCHEMA,
       messages: [
         {
           role: 'user',
-          content: `Based on this food description: "${description}", provide the following information in JSON format:
-{
-  "name": "name of the dish",
-  "cuisine": "type of cuisine (e.g., Italian, Chinese, Mexican)",
-  "description": "detailed description of the dish",
-  "ingredients": ["ingredient1", "ingredient2", "ingredient3"],
-  "estimatedCalories": number (reasonable estimate),
-  "dietaryInfo": ["vegetarian", "vegan", "gluten-free", etc. - leave empty array if none apply"],
-  "confidence": number between 0-100
-}
-
-Respond ONLY with the JSON object, no additional text.`
+          content: renderPrompt(promptVersion, 'analyzeText', {
+            description,
+            dietaryTags: DIETARY_TAG_LIST,
+            languageInstruction: getLanguageInstruction(promptVersion, language)
+          })
         },
       ],
     });
 
-    const responseText = message.content[0].text;
-    
-    // Extract JSON from response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const analysis = JSON.parse(jsonMatch[0]);
-      
-      // Validate and format the response
-      return {
-        name: analysis.name || analysis.dishName || 'Unknown Dish',
-        cuisine: analysis.cuisine || 'Unknown',
-        description: analysis.description || description,
-        ingredients: analysis.ingredients || analysis.mainIngredients || [],
-        estimatedCalories: analysis.estimatedCalories || 0,
-        dietaryInfo: analysis.dietaryInfo || [],
-        confidence: analysis.confidence || 0
-      };
-    }
-    
-    throw new Error('Could not parse AI response');
+    return tagResult(analysis, { language, promptVersion });
   } catch (error) {
     console.error('Error analyzing food description:', error);
+    if (error instanceof AIError) throw error;
     throw new Error(`Failed to analyze description: ${error.message}`);
   }
 }
 
+/**
+ * Build message content that shows the model the original input of an analysis
+ * @param {string} promptVersion - Prompt template version
+ * @param {Object} source - { base64Image, mimeType } for photos or { description } for text
+ * @param {string} text - Instructions that follow the input
+ */
+function buildSourceContent(promptVersion, source, text) {
+  if (source.base64Image) {
+    return [
+      {
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: source.mimeType,
+          data: source.base64Image,
+        },
+      },
+      { type: 'text', text }
+    ];
+  }
+
+  return renderPrompt(promptVersion, 'describedSource', { description: source.description }) + text;
+}
+
+/**
+ * Generate questions that would disambiguate a low-confidence analysis
+ * (e.g. "Is the broth clear or cloudy?")
+ * Uses the language and prompt version of the analysis
+ * @param {Object} analysis - The low-confidence dish analysis
+ * @param {Object} source - { base64Image, mimeType } or { description } the analysis was made from
+ * @param {Object} [options]
+ * @param {Object} [options.callContext] - Ledger attribution from getAICallContext(req)
+ * @returns {Array} Up to MAX_CLARIFICATION_QUESTIONS questions: { question, options }
+ */
+async function generateClarificationQuestions(analysis, source, { callContext } = {}) {
+  const language = analysis.language || DEFAULT_LANGUAGE;
+  const promptVersion = resolvePromptVersion(analysis.promptVersion);
+
+  try {
+    const result = await requestStructuredResponse({
+      task: 'clarify',
+      context: { ...source, analysis, language },
+      callContext,
+      promptVersion,
+      maxTokens: 1024,
+      schema: CLARIFICATION_SCHEMA,
+      messages: [
+        {
+          role: 'user',
+          content: buildSourceContent(promptVersion, source, renderPrompt(promptVersion, 'clarify', {
+            dishName: analysis.name,
+            cuisine: analysis.cuisine,
+            confidence: analysis.confidence,
+            maxQuestions: MAX_CLARIFICATION_QUESTIONS,
+            languageInstruction: getLanguageInstruction(promptVersion, language)
+          }))
+        },
+      ],
+    });
+
+    return result.questions.slice(0, MAX_CLARIFICATION_QUESTIONS);
+  } catch (error) {
+    console.error('Error generating clarification questions:', error);
+    if (error instanceof AIError) throw error;
+    throw new Error(`Failed to generate clarification questions: ${error.message}`);
+  }
+}
+
+/**
+ * Refine a dish analysis with the diner's answers to clarification questions
+ * The refined analysis uses the same language and prompt version as the original
+ * @param {Object} analysis - The original dish analysis
+ * @param {Object} source - { base64Image, mimeType } or { description } the analysis was made from
+ * @param {Array<{question: string, answer: string}>} clarifications - Answered questions
+ * @param {Object} [options]
+ * @param {Object} [options.callContext] - Ledger attribution from getAICallContext(req)
+ */
+async function refineDishAnalysis(analysis, source, clarifications, { callContext } = {}) {
+  const language = analysis.language || DEFAULT_LANGUAGE;
+  const promptVersion = resolvePromptVersion(analysis.promptVersion);
+
+  try {
+    const refined = await requestStructuredResponse({
+      task: 'refineAnalysis',
+      context: { ...source, analysis, clarifications, language },
+      callContext,
+      promptVersion,
+      maxTokens: 1024,
+      schema: DISH_ANALYSIS_SCHEMA,
+      messages: [
+        {
+          role: 'user',
+          content: buildSourceContent(promptVersion, source, renderPrompt(promptVersion, 'refineAnalysis', {
+            dishName: analysis.name,
+            cuisine: analysis.cuisine,
+            confidence: analysis.confidence,
+            answers: clarifications.map(({ question, answer }) => `- ${question} ${answer}`).join('\n'),
+            dietaryTags: DIETARY_TAG_LIST,
+            languageInstruction: getLanguageInstruction(promptVersion, language)
+          }))
+        },
+      ],
+    });
+
+    return tagResult(refined, { language, promptVersion });
+  } catch (error) {
+    console.error('Error refining dish analysis:', error);
+    if (error instanceof AIError) throw error;
+    throw new Error(`Failed to refine analysis: ${error.message}`);
+  }
+}
+
 /**
  * Get detailed nutritional information for a dish
  * @param {string} dishName - Name of the dish
+ * @param {Object} [options]
+ * @param {Object} [options.callContext] - Ledger attribution from getAICallContext(req)
+ * @param {string} [options.language] - Language code for the text values (see config/languages.js)
+ * @param {string} [options.promptVersion] - Prompt template version (see config/prompts)
  */
-async function getNutritionalInfo(dishName) {
+async function getNutritionalInfo(dishName, {
+  callContext,
+  language = DEFAULT_LANGUAGE,
+  promptVersion = ACTIVE_PROMPT_VERSION
+} = {}) {
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1500,
+    const nutrition = await requestStructuredResponse({
+      task: 'nutrition',
+      context: { dishName, language },
+      callContext,
+      promptVersion,
+      maxTokens: 1500,
+      schema: NUTRITION_SCHEMA,
       messages: [
         {
           role: 'user',
-          content: `Provide detailed nutritional information for "${dishName}" in JSON format:
-{
-  "dishName": "${dishName}",
-  "servingSize": "typical serving size (e.g., 1 cup, 200g)",
-  "calories": number,
-  "macronutrients": {
-    "protein": "Xg",
-    "carbohydrates": "Xg",
-    "fat": "Xg",
-    "fiber": "Xg"
-  },
-  "vitamins": ["vitamin A", "vitamin C", etc.],
-  "minerals": ["iron", "calcium", etc.],
-  "ingredients": ["detailed ingredient 1", "detailed ingredient 2"],
-  "allergens": ["common allergens present like nuts, dairy, gluten"],
-  "healthBenefits": ["benefit 1", "benefit 2", "benefit 3"]
-}
-
-Provide accurate, typical nutritional information for a standard serving. Respond ONLY with the JSON object, no additional text.`
+          content: renderPrompt(promptVersion, 'nutrition', {
+            dishName,
+            languageInstruction: getLanguageInstruction(promptVersion, language)
+          })
         },
       ],
     });
 
-    const responseText = message.content[0].text;
-    
-    // Extract JSON from response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const nutritionInfo = JSON.parse(jsonMatch[0]);
-      return nutritionInfo;
-    }
-    
-    throw new Error('Could not parse AI response');
+    return tagResult(nutrition, { language, promptVersion });
   } catch (error) {
     console.error('Error getting nutritional info:', error);
+    if (error instanceof AIError) throw error;
     throw new Error(`Failed to get nutritional info: ${error.message}`);
   }
 }
 
+/**
+ * Generate a recipe for cooking an analyzed dish at home
+ * @param {Object} dish - Dish analysis (as returned by analyzeFoodImage)
+ * @param {Object} [recipeOptions]
+ * @param {number} [recipeOptions.servings] - Number of servings the quantities are for
+ * @param {string[]} [recipeOptions.dietaryConstraints] - Dietary tags the recipe must satisfy
+ * @param {Object} [options]
+ * @param {Object} [options.callContext] - Ledger attribution from getAICallContext(req)
+ * @param {string} [options.language] - Language code for the text values (see config/languages.js)
+ * @param {string} [options.promptVersion] - Prompt template version (see config/prompts)
+ */
+async function generateRecipe(dish, { servings = 2, dietaryConstraints = [] } = {}, {
+  callContext,
+  language = DEFAULT_LANGUAGE,
+  promptVersion: requestedVersion = ACTIVE_PROMPT_VERSION
+} = {}) {
+  // Versions before 4 have no recipe templates
+  const promptVersion = resolveTemplateVersion(requestedVersion, 'recipe');
+
+  try {
+    const recipe = await requestStructuredResponse({
+      task: 'recipe',
+      context: { dish, servings, dietaryConstraints, language },
+      callContext,
+      promptVersion,
+      maxTokens: 3000,
+      schema: RECIPE_SCHEMA,
+      messages: [
+        {
+          role: 'user',
+          content: renderPrompt(promptVersion, 'recipe', {
+            dishName: dish.canonicalName || dish.name,
+            cuisine: dish.cuisine || 'unknown cuisine',
+            description: dish.description || 'no description',
+            ingredients: (dish.canonicalIngredients || dish.ingredients || []).join(', ') || 'unknown',
+            servings,
+            constraints: dietaryConstraints.length > 0
+              ? renderPrompt(promptVersion, 'recipeConstraints', { dietaryConstraints: dietaryConstraints.join(', ') })
+              : '',
+            dietaryTags: DIETARY_TAG_LIST,
+            languageInstruction: getLanguageInstruction(promptVersion, language)
+          })
+        },
+      ],
+    });
+
+    return tagResult(recipe, { language, promptVersion });
+  } catch (error) {
+    console.error('Error generating recipe:', error);
+    if (error instanceof AIError) throw error;
+    throw new Error(`Failed to generate recipe: ${error.message}`);
+  }
+}
+
 /**
  * Test the AI service connection
  */
 async function testConnection() {
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 100,
+    const message = await getProvider().createMessage({
+      task: 'testConnection',
+      context: {},
+      maxTokens: 100,
       messages: [
         {
           role: 'user',
@@ -194,7 +738,7 @@ async function testConnection() {
       ],
     });
 
-    console.log('✅ AI Service connected:', message.content[0].text);
+    console.log('✅ AI Service connected:', message.text);
     return true;
   } catch (error) {
     console.error('❌ AI Service connection failed:', error.message);
@@ -204,7 +748,12 @@ async function testConnection() {
 
 module.exports = {
   analyzeFoodImage,
+  detectDishesInImage,
   analyzeFoodDescription,
+  generateClarificationQuestions,
+  refineDishAnalysis,
   getNutritionalInfo,
+  generateRecipe,
+  extractMenuFromImages,
   testConnection
-};
\ No newline at end of file
+};
@@ -0,0 +1,43 @@
+// config/embeddingProviders/index.js
+// Selects the embedding provider used by utils/dishEmbeddings.js
+//
+// Every provider exposes the same interface:
+//   name: string
+//   model: string - stored with each embedding; embeddings from another model are recomputed
+//   embed(texts, { signal }) => Promise<number[][]> (one vector per text, same order)
+//
+// Vectors from one model must all have the same length; they do not need to be normalized.
+
+const PROVIDERS = {
+  local: () => require('./localProvider'),
+  openai: () => require('./openaiProvider')
+};
+
+let activeProvider = null;
+
+/**
+ * Get the provider selected by the EMBEDDING_PROVIDER env var (defaults to 'local')
+ */
+function getEmbeddingProvider() {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  const providerName = (process.env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+  const loadProvider = PROVIDERS[providerName];
+
+  if (!loadProvider) {
+    throw new Error(
+      `Unknown EMBEDDING_PROVIDER "${providerName}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  activeProvider = loadProvider();
+  console.log(`🧭 Embedding provider: ${activeProvider.name} (${activeProvider.model})`);
+  return activeProvider;
+}
+
+module.exports = {
+  getEmbeddingProvider,
+  PROVIDERS
+};
@@ -0,0 +1,135 @@
+// config/embeddingProviders/localProvider.js
+// Offline embedding provider - no model download, no network
+//
+// Words and their character trigrams are hashed into a fixed-size vector
+// (feature hashing), and well-known dish names are first expanded with a short
+// description from DISH_GLOSSARY, so "khao soi" lands near "curry noodle soup".
+// Much weaker than a trained model, but deterministic and free: good for
+// development, tests and small deployments.
+const DIMENSIONS = 256;
+const TRIGRAM_WEIGHT = 0.5;
+
+// Dish names → what they are, in the words a menu would use
+const DISH_GLOSSARY = {
+  'khao soi': 'curry noodle soup coconut chicken thai',
+  laksa: 'curry noodle soup coconut spicy malaysian',
+  pho: 'beef noodle soup broth herbs vietnamese',
+  ramen: 'noodle soup broth japanese',
+  udon: 'thick wheat noodle soup japanese',
+  soba: 'buckwheat noodle japanese',
+  'tom yum': 'spicy sour soup shrimp lemongrass thai',
+  'tom kha': 'coconut soup chicken galangal thai',
+  'pad thai': 'stir fried rice noodle peanut egg thai',
+  'pad see ew': 'stir fried wide rice noodle soy thai',
+  bibimbap: 'rice bowl vegetable egg beef korean',
+  bulgogi: 'grilled marinated beef korean',
+  biryani: 'spiced rice meat indian',
+  'tikka masala': 'curry chicken tomato cream indian',
+  'butter chicken': 'curry chicken tomato cream butter indian',
+  korma: 'mild curry cream nut indian',
+  dal: 'lentil stew indian',
+  paella: 'rice seafood saffron spanish',
+  risotto: 'creamy rice italian',
+  gnocchi: 'potato dumpling italian',
+  gyoza: 'dumpling pork japanese',
+  pierogi: 'dumpling potato cheese polish',
+  'xiao long bao': 'soup dumpling pork chinese',
+  bao: 'steamed bun chinese',
+  taco: 'tortilla meat mexican',
+  burrito: 'tortilla wrap rice bean meat mexican',
+  quesadilla: 'tortilla cheese grilled mexican',
+  shawarma: 'wrap spiced meat middle eastern',
+  gyro: 'pita wrap meat greek',
+  falafel: 'fried chickpea fritter middle eastern',
+  katsu: 'breaded fried cutlet japanese',
+  tonkatsu: 'breaded fried pork cutlet japanese',
+  schnitzel: 'breaded fried cutlet',
+  poke: 'raw fish rice bowl hawaiian',
+  ceviche: 'raw fish citrus lime',
+  goulash: 'beef stew paprika hungarian',
+  borscht: 'beet soup',
+  shakshuka: 'eggs poached tomato sauce',
+  moussaka: 'eggplant meat casserole greek',
+  lasagna: 'baked pasta cheese meat sauce italian',
+  carbonara: 'pasta egg bacon cheese italian',
+  margherita: 'pizza tomato mozzarella basil',
+  'banh mi': 'baguette sandwich pork vietnamese',
+  sushi: 'rice raw fish japanese',
+  sashimi: 'raw fish japanese',
+  tempura: 'battered fried shrimp vegetable japanese',
+  'mapo tofu': 'spicy tofu pork sichuan chinese',
+  'kung pao': 'stir fried chicken peanut chili chinese',
+  'fish and chips': 'battered fried fish fries'
+};
+
+const GLOSSARY_PATTERNS = Object.entries(DISH_GLOSSARY).map(([name, expansion]) => ({
+  pattern: new RegExp(`\\b${name}\\b`),
+  expansion
+}));
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+/**
+ * Add a feature to the vector (the hash picks the dimension and the sign)
+ */
+function addFeature(vector, feature, weight) {
+  const value = hash(feature);
+  vector[value % DIMENSIONS] += (value & 0x80000000) ? -weight : weight;
+}
+
+/**
+ * Words of a text plus glossary expansions, with a trailing plural "s" removed
+ */
+function getWords(text) {
+  const lower = String(text || '').toLowerCase();
+  const expansions = GLOSSARY_PATTERNS
+    .filter(({ pattern }) => pattern.test(lower))
+    .map(({ expansion }) => expansion);
+
+  return [lower, ...expansions]
+    .join(' ')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1)
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Embed one text
+ */
+function embedText(text) {
+  const vector = new Array(DIMENSIONS).fill(0);
+
+  getWords(text).forEach(word => {
+    addFeature(vector, `w:${word}`, 1);
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(vector, `t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+    }
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Embed texts (synchronous work, async for the provider interface)
+ */
+async function embed(texts) {
+  return texts.map(embedText);
+}
+
+module.exports = {
+  name: 'local',
+  model: `local-hash-${DIMENSIONS}-v1`,
+  embed
+};
@@ -0,0 +1,43 @@
+// config/embeddingProviders/openaiProvider.js
+// Embeddings from an OpenAI-compatible /embeddings endpoint
+// (OpenAI, or a self-hosted server speaking the same API - set EMBEDDING_API_URL)
+const DEFAULT_API_URL = 'https://api.openai.com/v1/embeddings';
+const DEFAULT_MODEL = 'text-embedding-3-small';
+const REQUEST_TIMEOUT_MS = parseInt(process.env.EMBEDDING_TIMEOUT_MS) || 15000;
+
+const model = process.env.EMBEDDING_MODEL || DEFAULT_MODEL;
+
+/**
+ * Embed texts in one request
+ * @param {string[]} texts
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ */
+async function embed(texts, { signal } = {}) {
+  if (texts.length === 0) return [];
+
+  const response = await fetch(process.env.EMBEDDING_API_URL || DEFAULT_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${process.env.EMBEDDING_API_KEY}`
+    },
+    body: JSON.stringify({ model, input: texts }),
+    signal: signal || AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Embedding request failed with status ${response.status}`);
+  }
+
+  const { data } = await response.json();
+  return data
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.embedding);
+}
+
+module.exports = {
+  name: 'openai',
+  model,
+  embed
+};
@@ -0,0 +1,48 @@
+// config/languages.js
+// Languages the AI analysis can respond in (user_settings.language)
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Code => name used in prompts
+const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  pl: 'Polish',
+  tr: 'Turkish',
+  ru: 'Russian',
+  ar: 'Arabic',
+  hi: 'Hindi',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese',
+  vi: 'Vietnamese',
+  th: 'Thai'
+};
+
+/**
+ * Normalize a language setting to a supported code
+ * Region variants map to their language ('pt-BR' => 'pt'); unknown values fall back to English
+ */
+function normalizeLanguage(language) {
+  const code = (language || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get the prompt name of a language code
+ */
+function getLanguageName(language) {
+  return SUPPORTED_LANGUAGES[normalizeLanguage(language)];
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  getLanguageName
+};
@@ -0,0 +1,119 @@
+// config/prompts/index.js
+// Versioned prompt templates and the traffic split between two versions
+//
+// PROMPT_VERSION selects the version most traffic uses. To compare a new version,
+// set PROMPT_CANDIDATE_VERSION and PROMPT_CANDIDATE_PERCENT (0-100): that share of
+// users is assigned the candidate, by a hash of their user id so each user keeps
+// seeing the same version. Every analysis, search history entry and ledger row
+// records the version that produced it.
+const crypto = require('crypto');
+
+const PROMPT_VERSIONS = {
+  '3': require('./v3'),
+  '4': require('./v4')
+};
+
+/**
+ * Check that a configured version exists - misconfiguration fails at startup
+ */
+function assertKnownVersion(version, envName) {
+  if (!PROMPT_VERSIONS[version]) {
+    throw new Error(`${envName}=${version} is not a registered prompt version (${Object.keys(PROMPT_VERSIONS).join(', ')})`);
+  }
+  return version;
+}
+
+const ACTIVE_PROMPT_VERSION = assertKnownVersion(process.env.PROMPT_VERSION || '4', 'PROMPT_VERSION');
+const CANDIDATE_PROMPT_VERSION = process.env.PROMPT_CANDIDATE_VERSION
+  ? assertKnownVersion(process.env.PROMPT_CANDIDATE_VERSION, 'PROMPT_CANDIDATE_VERSION')
+  : null;
+
+// A split between a version and itself would report a comparison that never happened
+if (CANDIDATE_PROMPT_VERSION === ACTIVE_PROMPT_VERSION) {
+  throw new Error(`PROMPT_CANDIDATE_VERSION=${CANDIDATE_PROMPT_VERSION} is the same as PROMPT_VERSION - set a different registered version or unset it`);
+}
+
+const CANDIDATE_PERCENT = CANDIDATE_PROMPT_VERSION
+  ? Math.min(Math.max(parseFloat(process.env.PROMPT_CANDIDATE_PERCENT) || 0, 0), 100)
+  : 0;
+
+/**
+ * Pick the prompt version for a user according to the traffic split
+ * @param {string} [userId] - Without a user id the assignment is random per call
+ */
+function selectPromptVersion(userId) {
+  if (!CANDIDATE_PROMPT_VERSION || CANDIDATE_PERCENT === 0) {
+    return ACTIVE_PROMPT_VERSION;
+  }
+
+  const bucket = userId
+    ? crypto.createHash('sha256').update(String(userId)).digest().readUInt32BE(0) % 10000 / 100
+    : Math.random() * 100;
+
+  return bucket < CANDIDATE_PERCENT ? CANDIDATE_PROMPT_VERSION : ACTIVE_PROMPT_VERSION;
+}
+
+/**
+ * Use a stored version (e.g. of a clarification session) if it is still registered
+ */
+function resolvePromptVersion(version) {
+  return PROMPT_VERSIONS[version] ? version : ACTIVE_PROMPT_VERSION;
+}
+
+/**
+ * Version to render a task with: the requested one, or for a task added after that
+ * version was released (e.g. recipe, new in 4) the newest version that has it
+ */
+function resolveTemplateVersion(version, name) {
+  if (PROMPT_VERSIONS[version]?.templates[name] !== undefined) {
+    return version;
+  }
+
+  const newest = Object.keys(PROMPT_VERSIONS)
+    .filter(candidate => PROMPT_VERSIONS[candidate].templates[name] !== undefined)
+    .sort((a, b) => Number(b) - Number(a))[0];
+  return newest || version;
+}
+
+/**
+ * Fill a template's {{placeholders}}
+ * Values are inserted as-is (placeholders inside values are not expanded)
+ * @param {string} version - Prompt version
+ * @param {string} name - Template name (usually the aiService task)
+ * @param {Object} [variables]
+ */
+function renderPrompt(version, name, variables = {}) {
+  const template = PROMPT_VERSIONS[version]?.templates[name];
+  if (template === undefined) {
+    throw new Error(`Prompt version ${version} has no "${name}" template`);
+  }
+
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => {
+    if (variables[key] === undefined) {
+      throw new Error(`Prompt "${name}" (version ${version}) is missing a value for ${placeholder}`);
+    }
+    return String(variables[key]);
+  });
+}
+
+/**
+ * Describe the registered versions and the current split (admin endpoints)
+ */
+function getPromptConfig() {
+  return {
+    active: ACTIVE_PROMPT_VERSION,
+    candidate: CANDIDATE_PROMPT_VERSION,
+    candidatePercent: CANDIDATE_PERCENT,
+    versions: Object.values(PROMPT_VERSIONS).map(({ version, description }) => ({ version, description }))
+  };
+}
+
+module.exports = {
+  PROMPT_VERSIONS,
+  ACTIVE_PROMPT_VERSION,
+  selectPromptVersion,
+  resolvePromptVersion,
+  resolveTemplateVersion,
+  renderPrompt,
+  getPromptConfig
+};
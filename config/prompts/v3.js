@@ -0,0 +1,107 @@
+// config/prompts/v3.js
+// Prompt templates, version 3
+// {{placeholders}} are filled in by renderPrompt (config/prompts/index.js).
+// Never edit a released version - copy it to a new file and register that instead.
+
+const DISH_ANALYSIS_FORMAT = `{
+  "name": "name of the dish",
+  "canonicalName": "the dish's common English name (the same as name when responding in English)",
+  "cuisine": "type of cuisine (e.g., Italian, Chinese, American)",
+  "description": "brief description of the dish",
+  "ingredients": ["ingredient1", "ingredient2", "ingredient3"],
+  "canonicalIngredients": ["the same ingredients, in English"],
+  "estimatedCalories": number (reasonable estimate, never negative),
+  "dietaryInfo": [only tags from this list that apply: {{dietaryTags}} - empty array if none apply],
+  "confidence": number between 0-100 (how confident you are in the identification)
+}`;
+
+module.exports = {
+  version: '3',
+  description: 'Localized output with canonical English name and ingredients',
+  templates: {
+    languageInstruction: `
+
+Write all text values in {{languageName}}, except "canonicalName" and "canonicalIngredients", which must be in English, and any values that must come from a fixed list (such as dietary tags), which must be used exactly as given.`,
+
+    repair: `Your response was not valid:
+{{validationErrors}}
+
+Respond again with ONLY the corrected JSON object, no additional text.`,
+
+    analyzeImage: `Analyze this food image and provide the following information in JSON format:
+${DISH_ANALYSIS_FORMAT}{{languageInstruction}}
+
+Respond ONLY with the JSON object, no additional text.`,
+
+    detectDishes: `This photo may show several dishes (for example a table spread). Identify each distinct dish, up to {{maxDishes}}, most prominent first. Do not list drinks, condiments or cutlery separately.
+
+For each dish provide the following information, plus its approximate location in the photo as "region": { "x", "y", "width", "height" } - fractions between 0 and 1 of the image width/height, measured from the top-left corner:
+${DISH_ANALYSIS_FORMAT}{{languageInstruction}}
+
+Respond ONLY with a JSON object of the form { "dishes": [ ... ] }, no additional text.`,
+
+    analyzeText: `Based on this food description: "{{description}}", provide the following information in JSON format:
+${DISH_ANALYSIS_FORMAT}{{languageInstruction}}
+
+Respond ONLY with the JSON object, no additional text.`,
+
+    extractMenu: `These are photos of a restaurant menu ({{pageCount}}). List every dish on the menu in JSON format:
+{
+  "dishes": [
+    {
+      "name": "dish name exactly as written on the menu",
+      "description": "menu description, or empty string if none",
+      "price": number (price as shown, without currency symbol) or null if no price is shown,
+      "category": "menu section (e.g., Starters, Mains, Desserts), or empty string if unclear",
+      "ingredients": ["likely ingredient 1", "likely ingredient 2"]
+    }
+  ]
+}
+
+List each dish once, even if it appears on several photos. Do not include drinks unless they are the only items. Respond ONLY with the JSON object, no additional text.`,
+
+    describedSource: `The dish was described as: "{{description}}"
+
+`,
+
+    clarify: `This dish was identified as "{{dishName}}" ({{cuisine}}) with only {{confidence}}% confidence.
+Ask the diner up to {{maxQuestions}} short questions whose answers would best tell the likely candidate dishes apart (for example "Is the broth clear or cloudy?"). Each question should offer 2-4 short answer options.
+
+Respond in JSON format:
+{
+  "questions": [
+    { "question": "the question", "options": ["option 1", "option 2"] }
+  ]
+}{{languageInstruction}}
+
+Respond ONLY with the JSON object, no additional text.`,
+
+    refineAnalysis: `This dish was first identified as "{{dishName}}" ({{cuisine}}) with {{confidence}}% confidence. The diner answered these questions about it:
+{{answers}}
+
+Taking the answers into account, provide the following information in JSON format:
+${DISH_ANALYSIS_FORMAT}{{languageInstruction}}
+
+Respond ONLY with the JSON object, no additional text.`,
+
+    nutrition: `Provide detailed nutritional information for "{{dishName}}" in JSON format:
+{
+  "dishName": "{{dishName}}",
+  "servingSize": "typical serving size (e.g., 1 cup, 200g)",
+  "calories": number (never negative),
+  "macronutrients": {
+    "protein": "Xg",
+    "carbohydrates": "Xg",
+    "fat": "Xg",
+    "fiber": "Xg"
+  },
+  "vitamins": ["vitamin A", "vitamin C", etc.],
+  "minerals": ["iron", "calcium", etc.],
+  "ingredients": ["detailed ingredient 1", "detailed ingredient 2"],
+  "allergens": ["common allergens present like nuts, dairy, gluten - empty array if none"],
+  "healthBenefits": ["benefit 1", "benefit 2", "benefit 3"]
+}{{languageInstruction}}
+
+Provide accurate, typical nutritional information for a standard serving. Respond ONLY with the JSON object, no additional text.`
+  }
+};
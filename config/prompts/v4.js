@@ -0,0 +1,90 @@
+// config/prompts/v4.js
+// Prompt templates, version 4
+// {{placeholders}} are filled in by renderPrompt (config/prompts/index.js).
+// Never edit a released version - copy it to a new file and register that instead.
+//
+// Version 3's templates, with the cuisine also in English ("canonicalCuisine") so
+// localized analyses can be compared with restaurant cuisines, plus the recipe
+// generation templates.
+const v3 = require('./v3');
+
+const DISH_ANALYSIS_FORMAT = `{
+  "name": "name of the dish",
+  "canonicalName": "the dish's common English name (the same as name when responding in English)",
+  "cuisine": "type of cuisine (e.g., Italian, Chinese, American)",
+  "canonicalCuisine": "the same type of cuisine, in English",
+  "description": "brief description of the dish",
+  "ingredients": ["ingredient1", "ingredient2", "ingredient3"],
+  "canonicalIngredients": ["the same ingredients, in English"],
+  "estimatedCalories": number (reasonable estimate, never negative),
+  "dietaryInfo": [only tags from this list that apply: {{dietaryTags}} - empty array if none apply],
+  "confidence": number between 0-100 (how confident you are in the identification)
+}`;
+
+module.exports = {
+  version: '4',
+  description: 'Version 3 with the cuisine in English too, plus home-cooking recipe generation',
+  templates: {
+    ...v3.templates,
+
+    languageInstruction: `
+
+Write all text values in {{languageName}}, except "canonicalName", "canonicalCuisine" and "canonicalIngredients", which must be in English, and any values that must come from a fixed list (such as dietary tags), which must be used exactly as given.`,
+
+    analyzeImage: `Analyze this food image and provide the following information in JSON format:
+${DISH_ANALYSIS_FORMAT}{{languageInstruction}}
+
+Respond ONLY with the JSON object, no additional text.`,
+
+    detectDishes: `This photo may show several dishes (for example a table spread). Identify each distinct dish, up to {{maxDishes}}, most prominent first. Do not list drinks, condiments or cutlery separately.
+
+For each dish provide the following information, plus its approximate location in the photo as "region": { "x", "y", "width", "height" } - fractions between 0 and 1 of the image width/height, measured from the top-left corner:
+${DISH_ANALYSIS_FORMAT}{{languageInstruction}}
+
+Respond ONLY with a JSON object of the form { "dishes": [ ... ] }, no additional text.`,
+
+    analyzeText: `Based on this food description: "{{description}}", provide the following information in JSON format:
+${DISH_ANALYSIS_FORMAT}{{languageInstruction}}
+
+Respond ONLY with the JSON object, no additional text.`,
+
+    refineAnalysis: `This dish was first identified as "{{dishName}}" ({{cuisine}}) with {{confidence}}% confidence. The diner answered these questions about it:
+{{answers}}
+
+Taking the answers into account, provide the following information in JSON format:
+${DISH_ANALYSIS_FORMAT}{{languageInstruction}}
+
+Respond ONLY with the JSON object, no additional text.`,
+
+    recipe: `Write a home-cooking recipe for "{{dishName}}" ({{cuisine}}) for {{servings}} servings.
+The dish was described as: {{description}}
+Its likely ingredients are: {{ingredients}}
+{{constraints}}
+Respond in JSON format:
+{
+  "title": "recipe title",
+  "description": "one or two sentences about the dish",
+  "servings": {{servings}},
+  "prepTimeMinutes": number,
+  "cookTimeMinutes": number,
+  "totalTimeMinutes": number,
+  "difficulty": "easy", "medium" or "hard",
+  "ingredients": [
+    { "name": "ingredient", "quantity": number or null if "to taste", "unit": "g, ml, tbsp, pieces, etc. (empty string if none)", "notes": "optional preparation note" }
+  ],
+  "steps": [
+    { "step": 1, "instruction": "what to do", "durationMinutes": number or null }
+  ],
+  "equipment": ["pan", "knife"],
+  "dietaryInfo": [only tags from this list that the recipe satisfies: {{dietaryTags}} - empty array if none apply],
+  "substitutions": [
+    { "original": "ingredient of the original dish", "replacement": "what the recipe uses instead", "reason": "why" }
+  ]
+}{{languageInstruction}}
+
+Use quantities for the requested number of servings and ingredients found in ordinary shops. Respond ONLY with the JSON object, no additional text.`,
+
+    recipeConstraints: `The recipe must be {{dietaryConstraints}}. Replace any ingredient that does not fit and list each replacement in "substitutions".
+`
+  }
+};
@@ -0,0 +1,35 @@
+-- ============================================
+-- WittyFood2 AI Analysis Cache Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Create the ai_analysis_cache table
+-- cache_key is a SHA-256 of the analysis kind, provider, prompt version
+-- and the image bytes (or normalized description text)
+CREATE TABLE IF NOT EXISTS ai_analysis_cache (
+  cache_key TEXT PRIMARY KEY,
+  kind TEXT NOT NULL CHECK (kind IN ('image', 'text')),
+  prompt_version TEXT NOT NULL,
+  result JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- 2. Create index for expiry purges
+CREATE INDEX IF NOT EXISTS idx_ai_analysis_cache_expires
+ON ai_analysis_cache(expires_at);
+
+-- 3. Enable Row Level Security (RLS) - backend access only
+ALTER TABLE ai_analysis_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access" ON ai_analysis_cache
+  FOR ALL
+  USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- ============================================
+-- Notes:
+-- - Entries expire after ANALYSIS_CACHE_TTL_HOURS (default 72)
+-- - Purge via DELETE /api/admin/cache
+-- ============================================
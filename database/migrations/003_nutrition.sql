@@ -0,0 +1,47 @@
+-- ============================================
+-- WittyFood2 Nutrition Lookup Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Track nutrition lookups in the daily usage table
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS nutrition_lookups INTEGER DEFAULT 0;
+
+-- 2. Persist nutrition info on restaurant dishes so each dish is only looked up once
+ALTER TABLE restaurant_dishes ADD COLUMN IF NOT EXISTS nutrition_info JSONB;
+ALTER TABLE restaurant_dishes ADD COLUMN IF NOT EXISTS nutrition_updated_at TIMESTAMP WITH TIME ZONE;
+
+-- 3. Update increment function to support the nutrition_lookups column
+CREATE OR REPLACE FUNCTION increment_usage(
+  p_user_id UUID,
+  p_date DATE,
+  p_column TEXT
+)
+RETURNS void AS $$
+BEGIN
+  INSERT INTO api_usage (user_id, date, image_scans, text_analyses, nutrition_lookups, total_requests)
+  VALUES (
+    p_user_id,
+    p_date,
+    CASE WHEN p_column = 'image_scans' THEN 1 ELSE 0 END,
+    CASE WHEN p_column = 'text_analyses' THEN 1 ELSE 0 END,
+    CASE WHEN p_column = 'nutrition_lookups' THEN 1 ELSE 0 END,
+    1
+  )
+  ON CONFLICT (user_id, date)
+  DO UPDATE SET
+    image_scans = api_usage.image_scans + CASE WHEN p_column = 'image_scans' THEN 1 ELSE 0 END,
+    text_analyses = api_usage.text_analyses + CASE WHEN p_column = 'text_analyses' THEN 1 ELSE 0 END,
+    nutrition_lookups = api_usage.nutrition_lookups + CASE WHEN p_column = 'nutrition_lookups' THEN 1 ELSE 0 END,
+    total_requests = api_usage.total_requests + 1,
+    updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- Notes:
+-- - Free tier: 10 nutrition lookups per day, Premium: 100
+-- - Adjust with FREE_DAILY_NUTRITION / PREMIUM_DAILY_NUTRITION in .env
+-- - Lookups served from restaurant_dishes.nutrition_info are not counted
+-- ============================================
@@ -0,0 +1,23 @@
+-- ============================================
+-- WittyFood2 Menu Import Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Restaurant owners can import menus for their own restaurants
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_restaurants_owner
+ON restaurants(owner_id);
+
+-- 2. Speed up duplicate detection against the existing menu
+CREATE INDEX IF NOT EXISTS idx_restaurant_dishes_restaurant
+ON restaurant_dishes(restaurant_id);
+
+-- ============================================
+-- Notes:
+-- - Set owner_id to give a user access to
+--   POST /api/restaurants/:restaurantId/menu/import(/confirm)
+-- - Admins can import menus for any restaurant
+-- ============================================
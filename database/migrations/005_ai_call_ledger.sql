@@ -0,0 +1,44 @@
+-- ============================================
+-- WittyFood2 AI Cost Accounting Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Create the ai_call_ledger table - one row per AI provider call
+CREATE TABLE IF NOT EXISTS ai_call_ledger (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  -- Keep cost history when a user deletes their account
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  subscription_tier TEXT,
+  endpoint TEXT,
+  task TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT,
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  latency_ms INTEGER,
+  estimated_cost_usd NUMERIC(12, 6),
+  success BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Create indexes for admin cost reports
+CREATE INDEX IF NOT EXISTS idx_ai_call_ledger_created
+ON ai_call_ledger(created_at);
+
+CREATE INDEX IF NOT EXISTS idx_ai_call_ledger_user_created
+ON ai_call_ledger(user_id, created_at);
+
+-- 3. Enable Row Level Security (RLS) - backend access only
+ALTER TABLE ai_call_ledger ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access" ON ai_call_ledger
+  FOR ALL
+  USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- ============================================
+-- Notes:
+-- - Costs are estimates from the pricing table in utils/aiLedger.js
+-- - Reports: GET /api/admin/costs/summary, /costs/daily, /costs/users
+-- ============================================
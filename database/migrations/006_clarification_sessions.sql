@@ -0,0 +1,42 @@
+-- ============================================
+-- WittyFood2 Clarification Sessions Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Create the clarification_sessions table - questions asked about a low-confidence analysis
+CREATE TABLE IF NOT EXISTS clarification_sessions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('image', 'text')),
+  analysis JSONB NOT NULL,
+  questions JSONB NOT NULL,
+  -- Original input ({ base64Image, mimeType } or { description }), cleared once answered
+  source JSONB,
+  answers JSONB,
+  refined_analysis JSONB,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'answering', 'resolved')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 2. Create index for cleaning up expired sessions
+CREATE INDEX IF NOT EXISTS idx_clarification_sessions_user_expires
+ON clarification_sessions(user_id, expires_at);
+
+-- 3. Enable Row Level Security (RLS) - backend access only
+ALTER TABLE clarification_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access" ON clarification_sessions
+  FOR ALL
+  USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- ============================================
+-- Notes:
+-- - Sessions are opened by the analyze endpoints when confidence is below
+--   CLARIFICATION_CONFIDENCE_THRESHOLD and answered via
+--   POST /api/dishes/clarifications/:sessionId
+-- - Expired sessions are deleted when the same user opens a new one
+-- ============================================
@@ -0,0 +1,17 @@
+-- ============================================
+-- WittyFood2 Localized Nutrition Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Store nutrition lookups for non-English users per language
+-- { "<language code>": { "nutrition": { ... }, "updatedAt": "<timestamp>" } }
+-- English stays in restaurant_dishes.nutrition_info
+ALTER TABLE restaurant_dishes ADD COLUMN IF NOT EXISTS nutrition_info_localized JSONB DEFAULT '{}'::jsonb;
+
+-- ============================================
+-- Notes:
+-- - The response language comes from user_settings.language
+--   (supported codes are listed in config/languages.js)
+-- ============================================
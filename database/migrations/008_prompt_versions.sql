@@ -0,0 +1,23 @@
+-- ============================================
+-- WittyFood2 Prompt Versioning Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Record the prompt version of every AI call and saved search
+ALTER TABLE ai_call_ledger ADD COLUMN IF NOT EXISTS prompt_version TEXT;
+ALTER TABLE search_history ADD COLUMN IF NOT EXISTS prompt_version TEXT;
+
+-- 2. Create indexes for comparing prompt versions
+CREATE INDEX IF NOT EXISTS idx_ai_call_ledger_prompt_version
+ON ai_call_ledger(prompt_version, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_search_history_prompt_version
+ON search_history(prompt_version, created_at);
+
+-- ============================================
+-- Notes:
+-- - Prompt templates live in config/prompts (one file per version)
+-- - Compare versions: GET /api/admin/prompts
+-- ============================================
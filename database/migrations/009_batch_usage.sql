@@ -0,0 +1,45 @@
+-- ============================================
+-- WittyFood2 Batch Analysis Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Replace the increment function with one that can count several units at once
+-- (a batch of images is recorded as one request using several scans)
+DROP FUNCTION IF EXISTS increment_usage(UUID, DATE, TEXT);
+
+CREATE OR REPLACE FUNCTION increment_usage(
+  p_user_id UUID,
+  p_date DATE,
+  p_column TEXT,
+  p_amount INTEGER DEFAULT 1
+)
+RETURNS void AS $$
+BEGIN
+  INSERT INTO api_usage (user_id, date, image_scans, text_analyses, nutrition_lookups, total_requests)
+  VALUES (
+    p_user_id,
+    p_date,
+    CASE WHEN p_column = 'image_scans' THEN p_amount ELSE 0 END,
+    CASE WHEN p_column = 'text_analyses' THEN p_amount ELSE 0 END,
+    CASE WHEN p_column = 'nutrition_lookups' THEN p_amount ELSE 0 END,
+    p_amount
+  )
+  ON CONFLICT (user_id, date)
+  DO UPDATE SET
+    image_scans = api_usage.image_scans + CASE WHEN p_column = 'image_scans' THEN p_amount ELSE 0 END,
+    text_analyses = api_usage.text_analyses + CASE WHEN p_column = 'text_analyses' THEN p_amount ELSE 0 END,
+    nutrition_lookups = api_usage.nutrition_lookups + CASE WHEN p_column = 'nutrition_lookups' THEN p_amount ELSE 0 END,
+    total_requests = api_usage.total_requests + p_amount,
+    updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- Notes:
+-- - POST /api/dishes/analyze-image/batch checks the whole batch against the
+--   remaining daily scans before analyzing anything
+-- - Only images that needed a fresh AI analysis are counted
+-- - Batch size / concurrency: MAX_BATCH_IMAGES / BATCH_CONCURRENCY in .env
+-- ============================================
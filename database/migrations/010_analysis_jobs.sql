@@ -0,0 +1,53 @@
+-- ============================================
+-- WittyFood2 Analysis Jobs Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Create the analysis_jobs table - queued image/text analyses
+CREATE TABLE IF NOT EXISTS analysis_jobs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('image', 'text')),
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  -- Input ({ base64Image, mimeType } or { description }), cleared once the job has run
+  source JSONB,
+  language TEXT,
+  prompt_version TEXT,
+  -- Ledger attribution of the request that queued the job
+  call_context JSONB,
+  result JSONB,
+  error JSONB,
+  -- Whether the job used a quota unit
+  charged BOOLEAN DEFAULT false,
+  callback_url TEXT,
+  callback_status TEXT CHECK (callback_status IN ('pending', 'delivered', 'failed')),
+  callback_attempts INTEGER DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 2. Create indexes for resuming the queue and counting a user's pending jobs
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_status_created
+ON analysis_jobs(status, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_user_status
+ON analysis_jobs(user_id, kind, status);
+
+-- 3. Enable Row Level Security (RLS) - backend access only
+ALTER TABLE analysis_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access" ON analysis_jobs
+  FOR ALL
+  USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- ============================================
+-- Notes:
+-- - Jobs are queued by POST /api/dishes/jobs and polled via GET /api/dishes/jobs/:jobId
+-- - Queued and running jobs are resumed when the server starts
+-- - Pending jobs count against the daily quota; usage is recorded on completion
+-- - Finished jobs older than JOB_RETENTION_HOURS are deleted when the same
+--   user queues a new one
+-- ============================================
@@ -0,0 +1,71 @@
+-- ============================================
+-- WittyFood2 Recipe Generation Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Track recipe generations in the daily usage table
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS recipe_generations INTEGER DEFAULT 0;
+
+-- 2. Update increment function to support the recipe_generations column
+CREATE OR REPLACE FUNCTION increment_usage(
+  p_user_id UUID,
+  p_date DATE,
+  p_column TEXT,
+  p_amount INTEGER DEFAULT 1
+)
+RETURNS void AS $$
+BEGIN
+  INSERT INTO api_usage (user_id, date, image_scans, text_analyses, nutrition_lookups, recipe_generations, total_requests)
+  VALUES (
+    p_user_id,
+    p_date,
+    CASE WHEN p_column = 'image_scans' THEN p_amount ELSE 0 END,
+    CASE WHEN p_column = 'text_analyses' THEN p_amount ELSE 0 END,
+    CASE WHEN p_column = 'nutrition_lookups' THEN p_amount ELSE 0 END,
+    CASE WHEN p_column = 'recipe_generations' THEN p_amount ELSE 0 END,
+    p_amount
+  )
+  ON CONFLICT (user_id, date)
+  DO UPDATE SET
+    image_scans = api_usage.image_scans + CASE WHEN p_column = 'image_scans' THEN p_amount ELSE 0 END,
+    text_analyses = api_usage.text_analyses + CASE WHEN p_column = 'text_analyses' THEN p_amount ELSE 0 END,
+    nutrition_lookups = api_usage.nutrition_lookups + CASE WHEN p_column = 'nutrition_lookups' THEN p_amount ELSE 0 END,
+    recipe_generations = api_usage.recipe_generations + CASE WHEN p_column = 'recipe_generations' THEN p_amount ELSE 0 END,
+    total_requests = api_usage.total_requests + p_amount,
+    updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- 3. Create the saved_recipes table - recipes users chose to keep
+CREATE TABLE IF NOT EXISTS saved_recipes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  dish_name TEXT NOT NULL,
+  -- The dish analysis the recipe was generated from
+  dish JSONB NOT NULL,
+  recipe JSONB NOT NULL,
+  servings INTEGER NOT NULL,
+  dietary_constraints TEXT[] DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 4. Create index for listing a user's recipes
+CREATE INDEX IF NOT EXISTS idx_saved_recipes_user_created
+ON saved_recipes(user_id, created_at DESC);
+
+-- 5. Enable Row Level Security (RLS) - backend access only
+ALTER TABLE saved_recipes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access" ON saved_recipes
+  FOR ALL
+  USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- ============================================
+-- Notes:
+-- - Free tier: 3 recipes per day, Premium: 30
+-- - Adjust with FREE_DAILY_RECIPES / PREMIUM_DAILY_RECIPES in .env
+-- - Recipes are saved with POST /api/dishes/recipe { save: true } and
+--   managed via /api/users/recipes
+-- ============================================
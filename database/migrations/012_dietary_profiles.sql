@@ -0,0 +1,34 @@
+-- ============================================
+-- WittyFood2 Dietary Profile Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Create the dietary_profiles table - what each user can or wants to eat
+CREATE TABLE IF NOT EXISTS dietary_profiles (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  -- Allergen keys from utils/dietaryConflicts.js (gluten, dairy, eggs, ...)
+  allergens TEXT[] DEFAULT '{}',
+  -- Dietary tags (vegan, halal, kosher, ...)
+  diets TEXT[] DEFAULT '{}',
+  disliked_ingredients TEXT[] DEFAULT '{}',
+  -- Leave dishes conflicting with an allergen or diet out of find-matches results
+  strict_mode BOOLEAN DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Enable Row Level Security (RLS) - backend access only
+ALTER TABLE dietary_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access" ON dietary_profiles
+  FOR ALL
+  USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- ============================================
+-- Notes:
+-- - Managed via GET/PUT /api/users/dietary-profile
+-- - Analyze, find-matches, menu and favorites responses add dietaryWarnings
+--   to each dish for users with a profile
+-- ============================================
@@ -0,0 +1,34 @@
+-- ============================================
+-- WittyFood2 Dish Embeddings Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Create the dish_embeddings table - one vector per restaurant dish
+-- Kept out of restaurant_dishes so dish queries do not carry the vectors
+CREATE TABLE IF NOT EXISTS dish_embeddings (
+  dish_id UUID PRIMARY KEY REFERENCES restaurant_dishes(id) ON DELETE CASCADE,
+  embedding REAL[] NOT NULL,
+  -- Provider model that computed the vector (EMBEDDING_PROVIDER / EMBEDDING_MODEL)
+  model TEXT NOT NULL,
+  -- Hash of the embedded dish text, to notice dishes edited since
+  content_hash TEXT NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Enable Row Level Security (RLS) - backend access only
+ALTER TABLE dish_embeddings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access" ON dish_embeddings
+  FOR ALL
+  USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- ============================================
+-- Notes:
+-- - Filled when menus are imported, when find-matches meets a dish without a
+--   current embedding (matchMode "hybrid"), and by scripts/embedDishes.js
+-- - Vectors from another model or for changed dish text are recomputed
+-- - Similarity is computed in the backend on the nearby dishes only, so no
+--   vector extension is needed
+-- ============================================
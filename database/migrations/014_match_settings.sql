@@ -0,0 +1,18 @@
+-- ============================================
+-- WittyFood2 Match Settings Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Add matching weights to user_settings
+-- Preset key from utils/dishMatching.js (balanced, taste-alike, same-dish, same-ingredients)
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS match_preset TEXT DEFAULT 'balanced';
+-- Per-part overrides of the preset: { "name", "ingredients", "description", "cuisine" } (0-100), or NULL
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS match_weights JSONB;
+
+-- ============================================
+-- Notes:
+-- - Set via PUT /api/users/settings, validated by the backend
+-- - find-matches requests can override them with matchPreset / matchWeights
+-- ============================================
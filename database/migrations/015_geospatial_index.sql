@@ -0,0 +1,51 @@
+-- ============================================
+-- WittyFood2 Geospatial Index Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Index restaurant coordinates for the bounding-box prefilter
+-- Nearby searches only fetch restaurants inside the box around the search radius
+CREATE INDEX IF NOT EXISTS idx_restaurants_latitude_longitude
+ON restaurants(latitude, longitude);
+
+-- 2. PostGIS radius search (skipped when the PostGIS extension is not available)
+-- The backend uses restaurants_within_radius() when it exists and falls back to
+-- the bounding box otherwise
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'postgis') THEN
+    CREATE EXTENSION IF NOT EXISTS postgis;
+
+    EXECUTE 'CREATE INDEX IF NOT EXISTS idx_restaurants_location
+      ON restaurants USING GIST ((ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)::geography))';
+
+    EXECUTE $fn$
+      CREATE OR REPLACE FUNCTION restaurants_within_radius(
+        p_latitude DOUBLE PRECISION,
+        p_longitude DOUBLE PRECISION,
+        p_radius_km DOUBLE PRECISION
+      )
+      RETURNS SETOF restaurants AS $body$
+        SELECT *
+        FROM restaurants
+        WHERE ST_DWithin(
+          ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)::geography,
+          ST_SetSRID(ST_MakePoint(p_longitude, p_latitude), 4326)::geography,
+          p_radius_km * 1000
+        );
+      $body$ LANGUAGE sql STABLE;
+    $fn$;
+  END IF;
+END;
+$$;
+
+-- ============================================
+-- Notes:
+-- - Used by find-matches, GET /api/restaurants (with maxDistance) and
+--   GET /api/restaurants/search/nearby
+-- - Exact distances are still computed by the backend (Haversine) on the
+--   candidates, which also sorts them by distance
+-- - To add PostGIS later, enable the extension and run this file again
+-- ============================================
@@ -0,0 +1,30 @@
+-- ============================================
+-- WittyFood2 Pagination Indexes Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Index the sort orders of paged lists
+-- Each page continues after the last row of the previous one (sort value, then id)
+CREATE INDEX IF NOT EXISTS idx_restaurants_name_id
+ON restaurants(name, id);
+
+CREATE INDEX IF NOT EXISTS idx_restaurants_rating_id
+ON restaurants(rating DESC NULLS LAST, id);
+
+CREATE INDEX IF NOT EXISTS idx_restaurant_dishes_restaurant_name_id
+ON restaurant_dishes(restaurant_id, name, id);
+
+CREATE INDEX IF NOT EXISTS idx_restaurant_dishes_restaurant_price_id
+ON restaurant_dishes(restaurant_id, price, id);
+
+CREATE INDEX IF NOT EXISTS idx_search_history_user_created_id
+ON search_history(user_id, created_at DESC, id);
+
+-- ============================================
+-- Notes:
+-- - Used by GET /api/restaurants (without a location radius),
+--   GET /api/restaurants/:restaurantId/menu and GET /api/users/search-history
+-- - Nearby restaurants, favorites and find-matches are sorted in the backend
+-- ============================================
@@ -0,0 +1,38 @@
+-- ============================================
+-- WittyFood2 Opening Hours Setup
+-- ============================================
+-- Run this SQL in your Supabase SQL Editor
+-- Dashboard > SQL Editor > New Query > Paste & Run
+-- ============================================
+
+-- 1. Add opening hours to restaurants
+-- IANA timezone the hours are given in (e.g. 'Europe/Paris')
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS timezone TEXT DEFAULT 'UTC';
+-- Weekly hours: { "monday": [{ "open": "11:30", "close": "14:30" }, { "open": "18:00", "close": "02:00" }], ... }
+-- A missing or empty day is closed; a close time at or before the open time is on the next day
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS opening_hours JSONB;
+-- Dates that differ from the weekly hours (holidays, special closures):
+-- [{ "date": "2026-12-25", "closed": true, "note": "Christmas" }, { "date": "2026-12-31", "hours": [{ "open": "18:00", "close": "01:00" }] }]
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS hours_exceptions JSONB DEFAULT '[]'::jsonb;
+
+-- 2. Keep the JSON shapes the backend expects
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'restaurants_opening_hours_object') THEN
+    ALTER TABLE restaurants ADD CONSTRAINT restaurants_opening_hours_object
+      CHECK (opening_hours IS NULL OR jsonb_typeof(opening_hours) = 'object');
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'restaurants_hours_exceptions_array') THEN
+    ALTER TABLE restaurants ADD CONSTRAINT restaurants_hours_exceptions_array
+      CHECK (hours_exceptions IS NULL OR jsonb_typeof(hours_exceptions) = 'array');
+  END IF;
+END;
+$$;
+
+-- ============================================
+-- Notes:
+-- - Returned by GET /api/restaurants/:restaurantId as openingHours
+-- - openNow / openAt on GET /api/restaurants, /search/nearby and find-matches
+--   leave out restaurants that are closed - or have no opening_hours - at that time
+-- - Dates in hours_exceptions are in the restaurant's timezone
+-- ============================================
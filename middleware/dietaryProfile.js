@@ -0,0 +1,48 @@
+// middleware/dietaryProfile.js
+// Load the user's dietary profile so responses can warn about conflicting dishes
+const { createClient } = require('@supabase/supabase-js');
+const { formatDietaryProfile } = require('../utils/dietaryConflicts');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * Get a user's dietary profile (the empty profile if none is saved)
+ */
+async function getDietaryProfile(userId) {
+  const { data, error } = await supabase
+    .from('dietary_profiles')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Failed to fetch dietary profile');
+  }
+
+  return formatDietaryProfile(data);
+}
+
+/**
+ * Middleware - set req.dietaryProfile (after authMiddleware)
+ * Left null when the profile cannot be read, so results are returned without warnings
+ */
+const loadDietaryProfile = async (req, res, next) => {
+  req.dietaryProfile = null;
+
+  try {
+    req.dietaryProfile = await getDietaryProfile(req.user.id);
+  } catch (error) {
+    // Don't block requests because of a profile problem
+    console.error('Dietary profile middleware error:', error);
+  }
+
+  next();
+};
+
+module.exports = {
+  getDietaryProfile,
+  loadDietaryProfile
+};
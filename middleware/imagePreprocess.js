@@ -0,0 +1,139 @@
+// middleware/imagePreprocess.js
+// Validate and normalize uploaded images before they are sent to the AI model
+const sharp = require('sharp');
+
+// Longest edge sent to the model - larger images cost more without improving results
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION) || 1568;
+const JPEG_QUALITY = parseInt(process.env.IMAGE_JPEG_QUALITY) || 85;
+// Images whose pixel standard deviation is below this in every channel are treated as blank
+const BLANK_STDEV_THRESHOLD = parseFloat(process.env.IMAGE_BLANK_THRESHOLD) || 4;
+
+/**
+ * Uploaded image that cannot be analyzed
+ */
+class ImageValidationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ImageValidationError';
+    this.code = code;
+  }
+}
+
+/**
+ * Detect the image format from its leading bytes
+ * @returns {string|null} 'jpeg', 'png', 'gif', 'webp' or null if unrecognized
+ */
+function detectImageFormat(buffer) {
+  if (buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  const header = buffer.toString('ascii', 0, 6);
+  if (header === 'GIF87a' || header === 'GIF89a') {
+    return 'gif';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+}
+
+/**
+ * Validate one image and convert it to a metadata-free JPEG within MAX_DIMENSION
+ * @param {Buffer} buffer - Uploaded image bytes
+ * @returns {Promise<{ buffer: Buffer, mimeType: string, width: number, height: number }>}
+ */
+async function preprocessImage(buffer) {
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw new ImageValidationError(
+      'File content is not a supported image (jpeg, png, gif, webp)',
+      'IMAGE_UNSUPPORTED_FORMAT'
+    );
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new ImageValidationError('Image file is corrupted or unreadable', 'IMAGE_CORRUPT');
+  }
+
+  if ((metadata.pages || 1) > 1) {
+    throw new ImageValidationError('Animated images are not supported', 'IMAGE_ANIMATED');
+  }
+
+  const { channels } = await sharp(buffer).stats();
+  if (channels.every(channel => channel.stdev < BLANK_STDEV_THRESHOLD)) {
+    throw new ImageValidationError('Image appears to be blank', 'IMAGE_BLANK');
+  }
+
+  // rotate() applies the EXIF orientation before the metadata (including GPS) is dropped;
+  // sharp strips all metadata from the output unless asked to keep it
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: JPEG_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    mimeType: 'image/jpeg',
+    width: info.width,
+    height: info.height
+  };
+}
+
+/**
+ * Replace a multer file's contents with the preprocessed image
+ */
+async function preprocessUploadedFile(file) {
+  const processed = await preprocessImage(file.buffer);
+  file.originalSize = file.size;
+  file.buffer = processed.buffer;
+  file.mimetype = processed.mimeType;
+  file.size = processed.buffer.length;
+  file.width = processed.width;
+  file.height = processed.height;
+}
+
+/**
+ * Middleware - preprocess req.file / req.files after multer
+ * Rejects the request before any paid AI call when an image is unusable
+ */
+const preprocessImages = async (req, res, next) => {
+  try {
+    const files = req.files || (req.file ? [req.file] : []);
+
+    for (const file of files) {
+      await preprocessUploadedFile(file);
+    }
+
+    next();
+  } catch (error) {
+    if (error instanceof ImageValidationError) {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Image preprocessing error:', error);
+    res.status(500).json({
+      error: 'Failed to process image',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  preprocessImages,
+  preprocessImage,
+  detectImageFormat,
+  ImageValidationError
+};
@@ -0,0 +1,40 @@
+// middleware/language.js
+// Resolve the language AI responses should be written in
+const { createClient } = require('@supabase/supabase-js');
+const { DEFAULT_LANGUAGE, normalizeLanguage } = require('../config/languages');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * Middleware - set req.language from user_settings.language (after authMiddleware)
+ * Falls back to English when the user has no settings or they cannot be read
+ */
+const loadUserLanguage = async (req, res, next) => {
+  req.language = DEFAULT_LANGUAGE;
+
+  try {
+    const { data: settings, error } = await supabase
+      .from('user_settings')
+      .select('language')
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading language setting:', error);
+    } else if (settings) {
+      req.language = normalizeLanguage(settings.language);
+    }
+  } catch (error) {
+    // Don't block analysis because of a settings problem
+    console.error('Language middleware error:', error);
+  }
+
+  next();
+};
+
+module.exports = {
+  loadUserLanguage
+};
@@ -0,0 +1,44 @@
+// middleware/matchSettings.js
+// Load the user's dish matching weights (user_settings.match_preset / match_weights)
+const { createClient } = require('@supabase/supabase-js');
+const { DEFAULT_MATCH_PRESET, resolveMatchWeights } = require('../utils/dishMatching');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * Middleware - set req.matchSettings = { preset, weights } (after authMiddleware)
+ * weights are the user's overrides of the preset (null for none). Falls back to
+ * the default preset when the user has no settings or they cannot be read.
+ */
+const loadMatchSettings = async (req, res, next) => {
+  req.matchSettings = { preset: DEFAULT_MATCH_PRESET, weights: null };
+
+  try {
+    const { data: settings, error } = await supabase
+      .from('user_settings')
+      .select('match_preset, match_weights')
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading match settings:', error);
+    } else if (settings && !resolveMatchWeights(settings.match_preset || undefined, settings.match_weights).error) {
+      req.matchSettings = {
+        preset: settings.match_preset || DEFAULT_MATCH_PRESET,
+        weights: settings.match_weights || null
+      };
+    }
+  } catch (error) {
+    // Don't block matching because of a settings problem
+    console.error('Match settings middleware error:', error);
+  }
+
+  next();
+};
+
+module.exports = {
+  loadMatchSettings
+};
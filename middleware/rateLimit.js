@@ -2,23 +2,56 @@
 // Rate limiting middleware to control API costs
 const { createClient } = require('@supabase/supabase-js');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+let supabase = null;
+
+/**
+ * Supabase client, created on first use (aiLedger loads this module in scripts without SUPABASE_URL)
+ */
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+  return supabase;
+}
 
 // Rate limit configuration
 const RATE_LIMITS = {
   free: {
     daily_scans: parseInt(process.env.FREE_DAILY_SCANS) || 5,      // Free users: 5 scans/day
-    daily_text_analysis: parseInt(process.env.FREE_DAILY_TEXT) || 10  // Free users: 10 text analyses/day
+    daily_text_analysis: parseInt(process.env.FREE_DAILY_TEXT) || 10,  // Free users: 10 text analyses/day
+    daily_nutrition: parseInt(process.env.FREE_DAILY_NUTRITION) || 10,  // Free users: 10 nutrition lookups/day
+    daily_recipes: parseInt(process.env.FREE_DAILY_RECIPES) || 3       // Free users: 3 recipes/day
   },
   premium: {
     daily_scans: parseInt(process.env.PREMIUM_DAILY_SCANS) || 50,   // Premium: 50 scans/day
-    daily_text_analysis: parseInt(process.env.PREMIUM_DAILY_TEXT) || 100 // Premium: 100 text/day
+    daily_text_analysis: parseInt(process.env.PREMIUM_DAILY_TEXT) || 100, // Premium: 100 text/day
+    daily_nutrition: parseInt(process.env.PREMIUM_DAILY_NUTRITION) || 100, // Premium: 100 nutrition/day
+    daily_recipes: parseInt(process.env.PREMIUM_DAILY_RECIPES) || 30       // Premium: 30 recipes/day
   }
 };
 
+// api_usage column counting each usage type
+const USAGE_COLUMNS = {
+  image: 'image_scans',
+  text: 'text_analyses',
+  nutrition: 'nutrition_lookups',
+  recipe: 'recipe_generations'
+};
+
+// Usage types that analysis jobs reserve while queued or running
+const JOB_USAGE_TYPES = ['image', 'text'];
+
+// Daily limit key of each usage type in RATE_LIMITS
+const LIMIT_KEYS = {
+  image: 'daily_scans',
+  text: 'daily_text_analysis',
+  nutrition: 'daily_nutrition',
+  recipe: 'daily_recipes'
+};
+
 /**
  * Get the start of today in UTC
  */
@@ -34,7 +67,7 @@ async function getOrCreateUsageRecord(userId) {
   const todayStart = getTodayStart();
   
   // Try to get existing record
-  const { data: existing, error: fetchError } = await supabase
+  const { data: existing, error: fetchError } = await getSupabase()
     .from('api_usage')
     .select('*')
     .eq('user_id', userId)
@@ -46,13 +79,15 @@ async function getOrCreateUsageRecord(userId) {
   }
 
   // Create new record if none exists
-  const { data: newRecord, error: insertError } = await supabase
+  const { data: newRecord, error: insertError } = await getSupabase()
     .from('api_usage')
     .insert({
       user_id: userId,
       date: todayStart.split('T')[0],
       image_scans: 0,
       text_analyses: 0,
+      nutrition_lookups: 0,
+      recipe_generations: 0,
       total_requests: 0
     })
     .select()
@@ -61,7 +96,7 @@ async function getOrCreateUsageRecord(userId) {
   if (insertError) {
     // Handle race condition - record might have been created by another request
     if (insertError.code === '23505') { // Unique violation
-      const { data: retryFetch } = await supabase
+      const { data: retryFetch } = await getSupabase()
         .from('api_usage')
         .select('*')
         .eq('user_id', userId)
@@ -78,25 +113,27 @@ async function getOrCreateUsageRecord(userId) {
 
 /**
  * Increment usage counter
+ * @param {number} [amount] - Units to add (batch requests use several)
  */
-async function incrementUsage(userId, type) {
+async function incrementUsage(userId, type, amount = 1) {
   const todayStart = getTodayStart();
-  const column = type === 'image' ? 'image_scans' : 'text_analyses';
+  const column = USAGE_COLUMNS[type];
   
-  const { data, error } = await supabase.rpc('increment_usage', {
+  const { data, error } = await getSupabase().rpc('increment_usage', {
     p_user_id: userId,
     p_date: todayStart.split('T')[0],
-    p_column: column
+    p_column: column,
+    p_amount: amount
   });
 
   if (error) {
     console.error('Error incrementing usage:', error);
     // Fallback: try direct update
-    const { error: updateError } = await supabase
+    const { error: updateError } = await getSupabase()
       .from('api_usage')
       .update({ 
-        [column]: supabase.sql`${column} + 1`,
-        total_requests: supabase.sql`total_requests + 1`
+        [column]: getSupabase().sql`${column} + ${amount}`,
+        total_requests: getSupabase().sql`total_requests + ${amount}`
       })
       .eq('user_id', userId)
       .eq('date', todayStart.split('T')[0]);
@@ -107,6 +144,26 @@ async function incrementUsage(userId, type) {
   }
 }
 
+/**
+ * Count a user's analysis jobs that have not finished yet
+ * Their units are charged on completion, so they are reserved until then
+ */
+async function countPendingJobs(userId, kind) {
+  const { count, error } = await getSupabase()
+    .from('analysis_jobs')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('kind', kind)
+    .in('status', ['queued', 'running']);
+
+  if (error) {
+    console.error('Error counting pending jobs:', error);
+    return 0;
+  }
+
+  return count || 0;
+}
+
 /**
  * Get user's subscription tier
  */
@@ -120,115 +177,221 @@ function getUserTier(user) {
 }
 
 /**
- * Rate limiting middleware for image analysis (most expensive)
+ * Create a daily quota middleware for one usage type
+ * @param {Object} options
+ * @param {string} options.type - Usage type (key of USAGE_COLUMNS)
+ * @param {string} options.limitKey - Key of the daily limit in RATE_LIMITS
+ * @param {string} options.responseType - Usage type reported in 429 responses
+ * @param {string} options.title - Error title when the limit is reached
+ * @param {string} options.unitLabel - Plural label used in the 429 message
+ * @param {string} options.upgradeHint - Message shown to free users at the limit
+ * @param {Function} [options.getUnits] - Units the request needs (default 1); the whole
+ *   amount must fit in the remaining quota. Must run after anything it reads (e.g. multer).
+ * Image and text analysis jobs that have not finished are charged on completion, so
+ * every image/text limiter counts them as used (reserved) for the check.
  */
-const rateLimitImageAnalysis = async (req, res, next) => {
-  try {
-    const userId = req.user.id;
-    const userTier = getUserTier(req.user);
-    const limits = RATE_LIMITS[userTier];
-    
-    // Get today's usage
-    const usage = await getOrCreateUsageRecord(userId);
-    
-    if (!usage) {
-      console.error('Could not get/create usage record');
-      // Allow request but log the error - don't block users due to tracking issues
-      return next();
-    }
+function createRateLimiter({
+  type,
+  limitKey,
+  responseType,
+  title,
+  unitLabel,
+  upgradeHint,
+  getUnits = () => 1
+}) {
+  const column = USAGE_COLUMNS[type];
+
+  return async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+      const userTier = getUserTier(req.user);
+      const limits = RATE_LIMITS[userTier];
+      const dailyLimit = limits[limitKey];
+
+      // Get today's usage
+      const usage = await getOrCreateUsageRecord(userId);
+
+      if (!usage) {
+        console.error('Could not get/create usage record');
+        // Allow request but log the error - don't block users due to tracking issues
+        return next();
+      }
+
+      const used = usage[column] || 0;
+      const units = getUnits(req);
+      const reserved = JOB_USAGE_TYPES.includes(type) ? await countPendingJobs(userId, type) : 0;
+
+      // Check if limit exceeded
+      if (used >= dailyLimit) {
+        return res.status(429).json({
+          error: title,
+          message: `You've used all ${dailyLimit} ${unitLabel} for today. ${
+            userTier === 'free'
+              ? upgradeHint
+              : 'Your limit will reset at midnight UTC.'
+          }`,
+          usage: {
+            used,
+            limit: dailyLimit,
+            type: responseType,
+            tier: userTier,
+            resetsAt: getNextMidnightUTC()
+          }
+        });
+      }
 
-    // Check if limit exceeded
-    if (usage.image_scans >= limits.daily_scans) {
-      return res.status(429).json({
-        error: 'Daily scan limit reached',
-        message: `You've used all ${limits.daily_scans} image scans for today. ${
-          userTier === 'free' 
-            ? 'Upgrade to Premium for more scans!' 
-            : 'Your limit will reset at midnight UTC.'
-        }`,
-        usage: {
-          used: usage.image_scans,
-          limit: limits.daily_scans,
-          type: 'image_scan',
-          tier: userTier,
-          resetsAt: getNextMidnightUTC()
+      // Multi-unit requests are rejected up front rather than failing partway through
+      if (used + reserved + units > dailyLimit) {
+        const available = Math.max(dailyLimit - used - reserved, 0);
+        return res.status(429).json({
+          error: title,
+          message: `This request needs ${units} ${unitLabel}, but only ${available} of your ${dailyLimit} remain today${
+            reserved > 0 ? ` (${reserved} reserved by queued jobs)` : ''
+          }.`,
+          usage: {
+            used,
+            limit: dailyLimit,
+            requested: units,
+            reserved: reserved || undefined,
+            remaining: available,
+            type: responseType,
+            tier: userTier,
+            resetsAt: getNextMidnightUTC()
+          }
+        });
+      }
+
+      // Attach usage info to request for potential logging
+      req.usageInfo = {
+        current: used,
+        limit: dailyLimit,
+        remaining: dailyLimit - used - reserved - units
+      };
+
+      // Record usage at most once per request
+      // Streaming routes call req.recordUsage() themselves once the AI call succeeded,
+      // since a streamed response is already 200 before the outcome is known.
+      // Batch routes pass the number of units actually used.
+      let usageRecorded = false;
+      req.recordUsage = async (amount = units) => {
+        if (usageRecorded || amount <= 0) return;
+        usageRecorded = true;
+        await incrementUsage(userId, type, amount);
+      };
+
+      // Increment after successful response
+      // Routes set req.skipUsageIncrement when no AI call was made (e.g. cache hit)
+      res.on('finish', async () => {
+        if (res.statusCode >= 200 && res.statusCode < 300 && !req.skipUsageIncrement) {
+          await req.recordUsage();
         }
       });
-    }
 
-    // Attach usage info to request for potential logging
-    req.usageInfo = {
-      current: usage.image_scans,
-      limit: limits.daily_scans,
-      remaining: limits.daily_scans - usage.image_scans - 1
-    };
+      next();
+    } catch (error) {
+      console.error('Rate limit middleware error:', error);
+      // Don't block requests due to rate limiting errors
+      next();
+    }
+  };
+}
 
-    // Increment after successful response
-    res.on('finish', async () => {
-      if (res.statusCode >= 200 && res.statusCode < 300) {
-        await incrementUsage(userId, 'image');
-      }
-    });
+// Quotas shared by the direct, batch and queued analysis limiters
+const IMAGE_SCAN_LIMIT = {
+  type: 'image',
+  limitKey: 'daily_scans',
+  responseType: 'image_scan',
+  title: 'Daily scan limit reached',
+  unitLabel: 'image scans',
+  upgradeHint: 'Upgrade to Premium for more scans!'
+};
 
-    next();
-  } catch (error) {
-    console.error('Rate limit middleware error:', error);
-    // Don't block requests due to rate limiting errors
-    next();
-  }
+const TEXT_ANALYSIS_LIMIT = {
+  type: 'text',
+  limitKey: 'daily_text_analysis',
+  responseType: 'text_analysis',
+  title: 'Daily text analysis limit reached',
+  unitLabel: 'text analyses',
+  upgradeHint: 'Upgrade to Premium for more!'
 };
 
+/**
+ * Rate limiting middleware for image analysis (most expensive)
+ */
+const rateLimitImageAnalysis = createRateLimiter(IMAGE_SCAN_LIMIT);
+
+/**
+ * Rate limiting middleware for batch image analysis - one scan per uploaded image
+ * Runs after multer so the whole batch is checked against the remaining quota
+ */
+const rateLimitImageBatch = createRateLimiter({
+  ...IMAGE_SCAN_LIMIT,
+  getUnits: (req) => Math.max(1, (req.files || []).length)
+});
+
 /**
  * Rate limiting middleware for text analysis (less expensive)
  */
-const rateLimitTextAnalysis = async (req, res, next) => {
-  try {
-    const userId = req.user.id;
-    const userTier = getUserTier(req.user);
-    const limits = RATE_LIMITS[userTier];
-    
-    const usage = await getOrCreateUsageRecord(userId);
-    
-    if (!usage) {
-      return next();
-    }
+const rateLimitTextAnalysis = createRateLimiter(TEXT_ANALYSIS_LIMIT);
 
-    if (usage.text_analyses >= limits.daily_text_analysis) {
-      return res.status(429).json({
-        error: 'Daily text analysis limit reached',
-        message: `You've used all ${limits.daily_text_analysis} text analyses for today. ${
-          userTier === 'free' 
-            ? 'Upgrade to Premium for more!' 
-            : 'Your limit will reset at midnight UTC.'
-        }`,
-        usage: {
-          used: usage.text_analyses,
-          limit: limits.daily_text_analysis,
-          type: 'text_analysis',
-          tier: userTier,
-          resetsAt: getNextMidnightUTC()
-        }
-      });
-    }
+/**
+ * Rate limiting middleware for POST /api/dishes/jobs - image or text quota
+ * depending on whether an image was uploaded (runs after multer)
+ * Usage is recorded by the job worker, so the route skips the usage increment
+ */
+const rateLimitAnalysisJob = (req, res, next) => {
+  const limiter = req.file ? rateLimitImageAnalysis : rateLimitTextAnalysis;
+  return limiter(req, res, next);
+};
 
-    req.usageInfo = {
-      current: usage.text_analyses,
-      limit: limits.daily_text_analysis,
-      remaining: limits.daily_text_analysis - usage.text_analyses - 1
-    };
+/**
+ * Rate limiting middleware for nutrition lookups
+ */
+const rateLimitNutrition = createRateLimiter({
+  type: 'nutrition',
+  limitKey: 'daily_nutrition',
+  responseType: 'nutrition_lookup',
+  title: 'Daily nutrition lookup limit reached',
+  unitLabel: 'nutrition lookups',
+  upgradeHint: 'Upgrade to Premium for more!'
+});
 
-    res.on('finish', async () => {
-      if (res.statusCode >= 200 && res.statusCode < 300) {
-        await incrementUsage(userId, 'text');
-      }
-    });
+/**
+ * Rate limiting middleware for recipe generation
+ */
+const rateLimitRecipe = createRateLimiter({
+  type: 'recipe',
+  limitKey: 'daily_recipes',
+  responseType: 'recipe_generation',
+  title: 'Daily recipe limit reached',
+  unitLabel: 'recipes',
+  upgradeHint: 'Upgrade to Premium for more recipes!'
+});
 
-    next();
-  } catch (error) {
-    console.error('Rate limit middleware error:', error);
-    next();
+/**
+ * Whether a user has quota left for one more unit of a usage type
+ * Analysis jobs check again right before they run, since the quota may have been
+ * used up after they were queued. Tracking errors do not block the user.
+ */
+async function hasRemainingQuota(userId, type) {
+  const { data: user, error } = await getSupabase()
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .single();
+
+  if (error || !user) {
+    console.error('Error loading user for quota check:', error);
+    return true;
+  }
+
+  const usage = await getOrCreateUsageRecord(userId);
+  if (!usage) {
+    return true;
   }
-};
+
+  return (usage[USAGE_COLUMNS[type]] || 0) < RATE_LIMITS[getUserTier(user)][LIMIT_KEYS[type]];
+}
 
 /**
  * Get next midnight UTC timestamp
@@ -262,6 +425,16 @@ async function getUserUsageStats(userId, userTier = 'free') {
       limit: limits.daily_text_analysis,
       remaining: Math.max(0, limits.daily_text_analysis - (usage?.text_analyses || 0))
     },
+    nutrition_lookups: {
+      used: usage?.nutrition_lookups || 0,
+      limit: limits.daily_nutrition,
+      remaining: Math.max(0, limits.daily_nutrition - (usage?.nutrition_lookups || 0))
+    },
+    recipe_generations: {
+      used: usage?.recipe_generations || 0,
+      limit: limits.daily_recipes,
+      remaining: Math.max(0, limits.daily_recipes - (usage?.recipe_generations || 0))
+    },
     tier: userTier,
     resetsAt: getNextMidnightUTC()
   };
@@ -269,7 +442,14 @@ async function getUserUsageStats(userId, userTier = 'free') {
 
 module.exports = {
   rateLimitImageAnalysis,
+  rateLimitImageBatch,
   rateLimitTextAnalysis,
+  rateLimitAnalysisJob,
+  rateLimitNutrition,
+  rateLimitRecipe,
+  incrementUsage,
+  hasRemainingQuota,
   getUserUsageStats,
+  getUserTier,
   RATE_LIMITS
 };
@@ -4,6 +4,13 @@ const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
 const authMiddleware = require('../middleware/auth');
 const { RATE_LIMITS } = require('../middleware/rateLimit');
+const { purgeAnalysisCache, CACHE_TTL_HOURS } = require('../utils/analysisCache');
+const { getProvider } = require('../config/aiProviders');
+const { circuitBreaker, RESILIENCE_CONFIG } = require('../config/aiResilience');
+const { getPromptConfig } = require('../config/prompts');
+const { getJobQueueState } = require('../utils/analysisJobs');
+const { rebuildDishIndex, getDishIndexState } = require('../utils/dishRanker');
+const { getSpatialSearchMode } = require('../utils/nearbyRestaurants');
 
 const router = express.Router();
 
@@ -12,6 +19,9 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
+// Ledger rows per request - PostgREST returns at most 1000 rows
+const LEDGER_PAGE_SIZE = 1000;
+
 /**
  * Admin middleware - check if user is admin
  */
@@ -51,6 +61,7 @@ router.get('/usage/summary', authMiddleware, adminMiddleware, async (req, res) =
       totals: {
         image_scans: data.reduce((sum, d) => sum + d.image_scans, 0),
         text_analyses: data.reduce((sum, d) => sum + d.text_analyses, 0),
+        nutrition_lookups: data.reduce((sum, d) => sum + (d.nutrition_lookups || 0), 0),
         total_requests: data.reduce((sum, d) => sum + d.total_requests, 0),
         unique_users: new Set(data.map(d => d.user_id)).size
       },
@@ -206,22 +217,327 @@ router.get('/usage/top-users', authMiddleware, adminMiddleware, async (req, res)
   }
 });
 
+/**
+ * Get ledger rows for the last `days` days, LEDGER_PAGE_SIZE rows per request
+ */
+async function getLedgerEntries(days, columns = '*') {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+
+  const entries = [];
+  for (let from = 0; ; from += LEDGER_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('ai_call_ledger')
+      .select(columns)
+      .gte('created_at', startDate.toISOString())
+      .order('id')
+      .range(from, from + LEDGER_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    entries.push(...data);
+    if (data.length < LEDGER_PAGE_SIZE) break;
+  }
+
+  return { entries, startDate };
+}
+
+/**
+ * Sum token and cost figures for a set of ledger rows
+ */
+function summarizeLedger(entries) {
+  const totals = entries.reduce((sum, entry) => {
+    sum.calls += 1;
+    sum.failed_calls += entry.success === false ? 1 : 0;
+    sum.input_tokens += entry.input_tokens || 0;
+    sum.output_tokens += entry.output_tokens || 0;
+    sum.estimated_cost_usd += Number(entry.estimated_cost_usd) || 0;
+    sum.total_latency_ms += entry.latency_ms || 0;
+    return sum;
+  }, {
+    calls: 0,
+    failed_calls: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    estimated_cost_usd: 0,
+    total_latency_ms: 0
+  });
+
+  const { total_latency_ms, ...summary } = totals;
+  return {
+    ...summary,
+    estimated_cost_usd: Number(summary.estimated_cost_usd.toFixed(4)),
+    avg_latency_ms: totals.calls > 0 ? Math.round(total_latency_ms / totals.calls) : 0
+  };
+}
+
+/**
+ * Group ledger rows by a key and summarize each group
+ */
+function summarizeLedgerBy(entries, getKey) {
+  const groups = {};
+  entries.forEach(entry => {
+    const key = getKey(entry) || 'unknown';
+    groups[key] = groups[key] || [];
+    groups[key].push(entry);
+  });
+
+  return Object.entries(groups).reduce((result, [key, groupEntries]) => {
+    result[key] = summarizeLedger(groupEntries);
+    return result;
+  }, {});
+}
+
+// GET /api/admin/costs/summary - Get AI token and cost totals
+router.get('/costs/summary', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { days = 30 } = req.query;
+    const { entries, startDate } = await getLedgerEntries(parseInt(days));
+
+    res.json({
+      message: 'Cost summary retrieved successfully',
+      summary: {
+        period: {
+          start: startDate.toISOString().split('T')[0],
+          end: new Date().toISOString().split('T')[0],
+          days: parseInt(days)
+        },
+        totals: summarizeLedger(entries),
+        byTier: summarizeLedgerBy(entries, entry => entry.subscription_tier),
+        byEndpoint: summarizeLedgerBy(entries, entry => entry.endpoint),
+        byTask: summarizeLedgerBy(entries, entry => entry.task),
+        byModel: summarizeLedgerBy(entries, entry => entry.model),
+        byPromptVersion: summarizeLedgerBy(entries, entry => entry.prompt_version)
+      }
+    });
+  } catch (error) {
+    console.error('Admin cost summary error:', error);
+    res.status(500).json({
+      error: 'Failed to get cost summary',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/admin/costs/daily - Get daily AI cost breakdown
+router.get('/costs/daily', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { days = 7 } = req.query;
+    const { entries } = await getLedgerEntries(parseInt(days));
+
+    const byDate = summarizeLedgerBy(entries, entry => entry.created_at.split('T')[0]);
+    const daily = Object.entries(byDate)
+      .map(([date, summary]) => ({
+        date,
+        ...summary,
+        byTier: summarizeLedgerBy(
+          entries.filter(entry => entry.created_at.startsWith(date)),
+          entry => entry.subscription_tier
+        )
+      }))
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    res.json({
+      message: 'Daily costs retrieved successfully',
+      daily
+    });
+  } catch (error) {
+    console.error('Admin daily costs error:', error);
+    res.status(500).json({
+      error: 'Failed to get daily costs',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/admin/costs/users - Get top users by AI cost
+router.get('/costs/users', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { days = 30, limit = 10 } = req.query;
+    const { entries, startDate } = await getLedgerEntries(parseInt(days), `
+      *,
+      users (
+        id,
+        email,
+        name,
+        subscription_tier
+      )
+    `);
+
+    const userEntries = entries.filter(entry => entry.user_id);
+    const byUser = summarizeLedgerBy(userEntries, entry => entry.user_id);
+
+    const topUsers = Object.entries(byUser)
+      .map(([userId, summary]) => {
+        const user = userEntries.find(entry => entry.user_id === userId).users;
+        return {
+          user_id: userId,
+          email: user?.email || 'Unknown',
+          name: user?.name || 'Unknown',
+          tier: user?.subscription_tier || 'free',
+          ...summary
+        };
+      })
+      .sort((a, b) => b.estimated_cost_usd - a.estimated_cost_usd)
+      .slice(0, parseInt(limit));
+
+    res.json({
+      message: 'Top users by cost retrieved successfully',
+      topUsers,
+      period: {
+        start: startDate.toISOString().split('T')[0],
+        end: new Date().toISOString().split('T')[0]
+      }
+    });
+  } catch (error) {
+    console.error('Admin user costs error:', error);
+    res.status(500).json({
+      error: 'Failed to get user costs',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Summarize search history rows per prompt version
+ * Confidence and result counts are proxies for analysis quality in production
+ */
+function summarizeSearchesByPromptVersion(searches) {
+  const groups = {};
+  searches.forEach(search => {
+    const key = search.prompt_version || 'unknown';
+    groups[key] = groups[key] || [];
+    groups[key].push(search);
+  });
+
+  return Object.entries(groups).reduce((result, [version, versionSearches]) => {
+    const count = versionSearches.length;
+    const confidences = versionSearches.filter(search => search.dish_confidence !== null);
+    result[version] = {
+      searches: count,
+      avg_confidence: confidences.length > 0
+        ? Math.round(confidences.reduce((sum, search) => sum + Number(search.dish_confidence), 0) / confidences.length * 10) / 10
+        : null,
+      avg_results: Math.round(versionSearches.reduce((sum, search) => sum + (search.results_count || 0), 0) / count * 10) / 10,
+      no_results_rate: Math.round(versionSearches.filter(search => !search.results_count).length / count * 1000) / 1000
+    };
+    return result;
+  }, {});
+}
+
+// GET /api/admin/prompts - Prompt versions, traffic split and a side-by-side comparison
+router.get('/prompts', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { days = 7 } = req.query;
+    const { entries, startDate } = await getLedgerEntries(parseInt(days));
+
+    const { data: searches, error } = await supabase
+      .from('search_history')
+      .select('prompt_version, dish_confidence, results_count')
+      .gte('created_at', startDate.toISOString());
+
+    if (error) throw error;
+
+    const costs = summarizeLedgerBy(entries, entry => entry.prompt_version);
+    const quality = summarizeSearchesByPromptVersion(searches || []);
+
+    const versions = [...new Set([...Object.keys(costs), ...Object.keys(quality)])];
+    const comparison = versions.reduce((result, version) => {
+      result[version] = {
+        costs: costs[version] || null,
+        searches: quality[version] || null
+      };
+      return result;
+    }, {});
+
+    res.json({
+      message: 'Prompt versions retrieved successfully',
+      prompts: getPromptConfig(),
+      comparison,
+      period: {
+        start: startDate.toISOString().split('T')[0],
+        end: new Date().toISOString().split('T')[0]
+      }
+    });
+  } catch (error) {
+    console.error('Admin prompts error:', error);
+    res.status(500).json({
+      error: 'Failed to get prompt versions',
+      details: error.message
+    });
+  }
+});
+
 // GET /api/admin/config - Get current rate limit configuration
 router.get('/config', authMiddleware, adminMiddleware, async (req, res) => {
   res.json({
     message: 'Configuration retrieved successfully',
     config: {
       rateLimits: RATE_LIMITS,
+      analysisCacheTtlHours: CACHE_TTL_HOURS,
+      prompts: getPromptConfig(),
       environment: {
         FREE_DAILY_SCANS: process.env.FREE_DAILY_SCANS || '5 (default)',
         FREE_DAILY_TEXT: process.env.FREE_DAILY_TEXT || '10 (default)',
         PREMIUM_DAILY_SCANS: process.env.PREMIUM_DAILY_SCANS || '50 (default)',
-        PREMIUM_DAILY_TEXT: process.env.PREMIUM_DAILY_TEXT || '100 (default)'
+        PREMIUM_DAILY_TEXT: process.env.PREMIUM_DAILY_TEXT || '100 (default)',
+        FREE_DAILY_NUTRITION: process.env.FREE_DAILY_NUTRITION || '10 (default)',
+        PREMIUM_DAILY_NUTRITION: process.env.PREMIUM_DAILY_NUTRITION || '100 (default)',
+        ANALYSIS_CACHE_TTL_HOURS: process.env.ANALYSIS_CACHE_TTL_HOURS || '72 (default)'
       }
     }
   });
 });
 
+// DELETE /api/admin/cache - Purge cached AI analyses
+// Optional query: kind=image|text, expiredOnly=true
+router.delete('/cache', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { kind, expiredOnly } = req.query;
+
+    if (kind && !['image', 'text'].includes(kind)) {
+      return res.status(400).json({
+        error: 'kind must be "image" or "text"'
+      });
+    }
+
+    const purged = await purgeAnalysisCache({
+      kind,
+      expiredOnly: expiredOnly === 'true'
+    });
+
+    res.json({
+      message: 'Analysis cache purged successfully',
+      purged
+    });
+  } catch (error) {
+    console.error('Admin cache purge error:', error);
+    res.status(500).json({
+      error: 'Failed to purge analysis cache',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/admin/dish-index/rebuild - Rebuild the dish ranking index now
+// For dish changes made outside the API (otherwise picked up on the periodic refresh)
+router.post('/dish-index/rebuild', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const dishes = await rebuildDishIndex();
+
+    res.json({
+      message: `Dish index rebuilt with ${dishes} dishes`,
+      index: getDishIndexState()
+    });
+  } catch (error) {
+    console.error('Admin dish index rebuild error:', error);
+    res.status(500).json({
+      error: 'Failed to rebuild dish index',
+      details: error.message
+    });
+  }
+});
+
 // GET /api/admin/health - Extended health check with usage info
 router.get('/health', authMiddleware, adminMiddleware, async (req, res) => {
   try {
@@ -243,7 +559,15 @@ router.get('/health', authMiddleware, adminMiddleware, async (req, res) => {
       status: 'OK',
       timestamp: new Date().toISOString(),
       today: todayStats,
-      rateLimits: RATE_LIMITS
+      rateLimits: RATE_LIMITS,
+      ai: {
+        provider: getProvider().name,
+        circuitBreaker: circuitBreaker.getState(),
+        resilience: RESILIENCE_CONFIG
+      },
+      jobs: getJobQueueState(),
+      dishIndex: getDishIndexState(),
+      spatialSearch: getSpatialSearchMode()
     });
   } catch (error) {
     res.status(500).json({
@@ -3,9 +3,70 @@ const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
 const authMiddleware = require('../middleware/auth');
 const { upload, handleUploadError } = require('../middleware/upload');
-const { rateLimitImageAnalysis, rateLimitTextAnalysis, getUserUsageStats } = require('../middleware/rateLimit');
-const { analyzeFoodImage, analyzeFoodDescription } = require('../config/aiService');
-const { findMatchingDishes, filterByDistance } = require('../utils/dishMatching');
+const {
+  preprocessImages,
+  preprocessImage,
+  ImageValidationError
+} = require('../middleware/imagePreprocess');
+const { loadUserLanguage } = require('../middleware/language');
+const { loadDietaryProfile } = require('../middleware/dietaryProfile');
+const { loadMatchSettings } = require('../middleware/matchSettings');
+const {
+  rateLimitImageAnalysis,
+  rateLimitImageBatch,
+  rateLimitTextAnalysis,
+  rateLimitAnalysisJob,
+  rateLimitNutrition,
+  rateLimitRecipe,
+  getUserUsageStats
+} = require('../middleware/rateLimit');
+const {
+  analyzeFoodImage,
+  detectDishesInImage,
+  analyzeFoodDescription,
+  refineDishAnalysis,
+  getNutritionalInfo,
+  generateRecipe
+} = require('../config/aiService');
+const { DIETARY_TAGS, DISH_ANALYSIS_SCHEMA, validate, pickSchemaFields } = require('../config/aiSchemas');
+const { describeAIError, respondWithAIError } = require('../config/aiErrors');
+const {
+  findMatchingDishes,
+  getCanonicalDish,
+  resolveMatchWeights
+} = require('../utils/dishMatching');
+const { ensureDishIndex } = require('../utils/dishRanker');
+const { findRestaurantsWithin } = require('../utils/nearbyRestaurants');
+const { embedTargetDish, getDishEmbeddings } = require('../utils/dishEmbeddings');
+const { parsePagination, paginateItems } = require('../utils/pagination');
+const { parseOpenFilter, filterOpenAt } = require('../utils/openingHours');
+const { annotateDish, annotateDishes } = require('../utils/dietaryConflicts');
+const {
+  getImageCacheKey,
+  getTextCacheKey,
+  getCachedAnalysis,
+  setCachedAnalysis
+} = require('../utils/analysisCache');
+const { openEventStream } = require('../utils/sse');
+const { getAICallContext } = require('../utils/aiLedger');
+const { DEFAULT_LANGUAGE } = require('../config/languages');
+const { selectPromptVersion } = require('../config/prompts');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const {
+  needsClarification,
+  startClarificationSession,
+  clearExpiredClarificationSources,
+  getClarificationSession,
+  claimClarificationSession,
+  releaseClarificationSession,
+  resolveClarificationSession
+} = require('../utils/clarification');
+const {
+  validateCallbackUrl,
+  formatJob,
+  createAnalysisJob,
+  getAnalysisJob
+} = require('../utils/analysisJobs');
 
 const router = express.Router();
 
@@ -33,13 +94,199 @@ router.get('/usage', authMiddleware, async (req, res) => {
   }
 });
 
+const IMAGE_ANALYSIS_MODES = ['single', 'multi'];
+
+// Recipe generation: servings when none are given, and the most a recipe can be scaled to
+const DEFAULT_RECIPE_SERVINGS = 2;
+const MAX_RECIPE_SERVINGS = 12;
+
+// A recipe needs the dish name; the other analysis fields are optional but must be well-formed
+const RECIPE_DISH_SCHEMA = { ...DISH_ANALYSIS_SCHEMA, required: ['name'] };
+
+// Batch analysis: maximum images per request and how many are analyzed at once
+const MAX_BATCH_IMAGES = parseInt(process.env.MAX_BATCH_IMAGES) || 10;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+
+// Dish matching: text-only ('lexical') or blended with embeddings ('hybrid'),
+// and the share of the embedding similarity in hybrid scores (0-1)
+const MATCH_MODES = ['lexical', 'hybrid'];
+const DEFAULT_MATCH_MODE = MATCH_MODES.includes(process.env.MATCH_MODE) ? process.env.MATCH_MODE : 'lexical';
+const parsedSemanticWeight = parseFloat(process.env.MATCH_SEMANTIC_WEIGHT);
+const MATCH_SEMANTIC_WEIGHT = Math.min(Math.max(Number.isFinite(parsedSemanticWeight) ? parsedSemanticWeight : 0.4, 0), 1);
+
+// Restaurant ids per restaurant_dishes lookup (the ids go in the request URL), and
+// dishes per request (PostgREST returns at most 1000 rows)
+const RESTAURANT_CHUNK_SIZE = 200;
+const DISH_PAGE_SIZE = 1000;
+
+// Sort options of find-matches (see utils/pagination)
+const MATCH_SORTS = {
+  similarity: 'similarity',
+  distance: 'restaurant.distance',
+  price: 'price',
+  rating: 'restaurant.rating'
+};
+
+/**
+ * Options for aiService calls made while handling a request (after loadUserLanguage)
+ * The prompt version follows the A/B traffic split, so a user always gets the same one
+ */
+function getAIOptions(req) {
+  return {
+    callContext: getAICallContext(req),
+    language: req.language,
+    promptVersion: selectPromptVersion(req.user.id)
+  };
+}
+
+/**
+ * Pick one dish from a multi-dish detection by index
+ * The detection is referenced by detectionId (cached server-side) or sent back as detectedDishes
+ * @returns {Object|null} The detected dish, or null if it cannot be found
+ */
+async function getDetectedDish({ detectionId, detectedDishes, dishIndex }) {
+  let dishes = detectedDishes;
+
+  if (detectionId) {
+    const detection = await getCachedAnalysis(detectionId);
+    dishes = detection?.dishes;
+  }
+
+  const index = Number(dishIndex);
+  if (!Array.isArray(dishes) || !Number.isInteger(index)) {
+    return null;
+  }
+
+  return dishes[index] || null;
+}
+
+/**
+ * Embeddings for hybrid matching: the target dish (its English canonical form)
+ * and the restaurant dishes that have a stored one (the rest are computed in the
+ * background and matched on text alone for now)
+ * Falls back to text-only matching (no options) when the target cannot be embedded
+ */
+async function getSemanticMatchOptions(targetDish, dishes) {
+  try {
+    const [targetEmbedding, dishEmbeddings] = await Promise.all([
+      embedTargetDish(getCanonicalDish(targetDish)),
+      getDishEmbeddings(dishes)
+    ]);
+    return { targetEmbedding, dishEmbeddings, semanticWeight: MATCH_SEMANTIC_WEIGHT };
+  } catch (error) {
+    console.error('Semantic matching error:', error);
+    return {};
+  }
+}
+
+/**
+ * Every dish of the given restaurants, looked up in chunks of RESTAURANT_CHUNK_SIZE
+ * ids and paged by DISH_PAGE_SIZE
+ */
+async function getRestaurantDishes(restaurantIds) {
+  const dishes = [];
+  for (let i = 0; i < restaurantIds.length; i += RESTAURANT_CHUNK_SIZE) {
+    const chunk = restaurantIds.slice(i, i + RESTAURANT_CHUNK_SIZE);
+
+    for (let from = 0; ; from += DISH_PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('restaurant_dishes')
+        .select('*')
+        .in('restaurant_id', chunk)
+        .order('id')
+        .range(from, from + DISH_PAGE_SIZE - 1);
+
+      if (error) {
+        throw new Error('Failed to fetch dishes');
+      }
+
+      dishes.push(...data);
+      if (data.length < DISH_PAGE_SIZE) break;
+    }
+  }
+  return dishes;
+}
+
+/**
+ * Find dishes similar to targetDish at restaurants near the user
+ * With a dietary profile, matches carry dietaryWarnings (conflicting dishes are dropped in strict mode)
+ * matchMode 'hybrid' blends embedding similarity into the scores (see findMatchingDishes)
+ * weights come from resolveMatchWeights (default: the balanced preset)
+ * openAt (a Date) leaves out restaurants that are not open at that time
+ * @returns {{ matches: Array, restaurantsSearched: number }} Matches enriched with restaurant info
+ */
+async function findMatchesNearby({
+  targetDish,
+  userLocation,
+  maxDistance,
+  minSimilarity,
+  maxPrice,
+  dietaryProfile,
+  matchMode = DEFAULT_MATCH_MODE,
+  weights,
+  openAt = null
+}) {
+  // Only restaurants inside the radius are fetched
+  const nearbyRestaurants = filterOpenAt(await findRestaurantsWithin({
+    latitude: userLocation.latitude,
+    longitude: userLocation.longitude,
+    radiusKm: parseFloat(maxDistance)
+  }), openAt);
+
+  if (nearbyRestaurants.length === 0) {
+    return { matches: [], restaurantsSearched: 0 };
+  }
+
+  // Get all dishes from nearby restaurants
+  const allDishes = await getRestaurantDishes(nearbyRestaurants.map(r => r.id));
+
+  // Find matching dishes (ranked against the dish index's term statistics)
+  await ensureDishIndex();
+  const semanticOptions = matchMode === 'hybrid'
+    ? await getSemanticMatchOptions(targetDish, allDishes)
+    : {};
+  let matches = findMatchingDishes(targetDish, allDishes, minSimilarity, {
+    dietaryProfile,
+    weights,
+    restaurantCuisines: new Map(nearbyRestaurants.map(restaurant => [restaurant.id, restaurant.cuisine_type])),
+    ...semanticOptions
+  });
+
+  // Filter by price if specified
+  if (maxPrice) {
+    matches = matches.filter(dish => dish.price <= maxPrice);
+  }
+
+  // Enrich matches with restaurant info and distance
+  const enrichedMatches = matches.map(dish => {
+    const restaurant = nearbyRestaurants.find(r => r.id === dish.restaurant_id);
+    return {
+      ...dish,
+      restaurant: {
+        id: restaurant.id,
+        name: restaurant.name,
+        address: restaurant.address,
+        cuisine_type: restaurant.cuisine_type,
+        rating: restaurant.rating,
+        distance: restaurant.distance
+      }
+    };
+  });
+
+  return { matches: enrichedMatches, restaurantsSearched: nearbyRestaurants.length };
+}
+
 // POST /api/dishes/analyze-image - Analyze food image with AI
 // Rate limited to control AI costs
+// mode=multi (form field or query) detects every dish in the photo instead of one
 router.post('/analyze-image', 
   authMiddleware,
   rateLimitImageAnalysis,  // Apply rate limiting
+  loadUserLanguage,  // Analysis is written in the user's language
+  loadDietaryProfile,  // Dishes are checked against the user's allergens and diets
   upload.single('image'),
   handleUploadError,
+  preprocessImages,  // Validate, strip EXIF and downsize before any AI call
   async (req, res) => {
     try {
       if (!req.file) {
@@ -48,27 +295,176 @@ router.post('/analyze-image',
         });
       }
 
+      const mode = req.body.mode || req.query.mode || 'single';
+      if (!IMAGE_ANALYSIS_MODES.includes(mode)) {
+        return res.status(400).json({
+          error: `mode must be one of: ${IMAGE_ANALYSIS_MODES.join(', ')}`
+        });
+      }
+
       // Convert image buffer to base64
       const base64Image = req.file.buffer.toString('base64');
       const mimeType = req.file.mimetype;
 
-      // Analyze image with Claude AI
-      const dishInfo = await analyzeFoodImage(base64Image, mimeType);
+      // Reuse a previous analysis of the same image bytes (no AI call, no quota used)
+      const options = getAIOptions(req);
+      const cacheKey = getImageCacheKey(req.file.buffer, { mode, ...options });
+      let result = await getCachedAnalysis(cacheKey);
+      const cached = !!result;
+
+      if (!cached) {
+        // Analyze image with Claude AI
+        result = mode === 'multi'
+          ? { dishes: await detectDishesInImage(base64Image, mimeType, options) }
+          : await analyzeFoodImage(base64Image, mimeType, options);
+        await setCachedAnalysis(cacheKey, 'image', result, options.promptVersion);
+      }
+
+      // Uncertain identification - ask the diner before matching
+      const clarification = mode === 'single' && needsClarification(result)
+        ? await startClarificationSession({
+          userId: req.user.id,
+          kind: 'image',
+          analysis: result,
+          source: { base64Image, mimeType },
+          callContext: getAICallContext(req)
+        })
+        : null;
+
+      // A clarification session costs one unit even when the analysis was cached
+      const charged = !cached || !!clarification;
+      req.skipUsageIncrement = !charged;
+
+      const usage = req.usageInfo ? {
+        scansRemaining: charged ? req.usageInfo.remaining : req.usageInfo.remaining + 1,
+        scansUsed: charged ? req.usageInfo.current + 1 : req.usageInfo.current,
+        dailyLimit: req.usageInfo.limit
+      } : undefined;
+
+      if (mode === 'multi') {
+        // detectionId lets /find-matches reference a detected dish by index
+        return res.json({
+          message: `Detected ${result.dishes.length} dishes`,
+          mode,
+          detectionId: cacheKey,
+          dishes: annotateDishes(result.dishes, req.dietaryProfile),
+          cached,
+          usage
+        });
+      }
 
       res.json({
-        message: 'Image analyzed successfully',
-        dish: dishInfo,
+        message: clarification ? 'Image analyzed - please answer a few questions to confirm the dish' : 'Image analyzed successfully',
+        dish: annotateDish(result, req.dietaryProfile),
+        clarification: clarification || undefined,
+        cached,
+        usage
+      });
+
+    } catch (error) {
+      console.error('Image analysis error:', error);
+      if (respondWithAIError(res, error)) return;
+      res.status(500).json({
+        error: 'Failed to analyze image',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * Analyze one image of a batch
+ * Never throws - failures are returned as the image's result
+ * @returns {Object} { index, filename, status: 'ok', dish, cached } or { index, filename, status: 'error', error }
+ */
+async function analyzeBatchImage(file, index, options) {
+  const base = { index, filename: file.originalname };
+
+  try {
+    const processed = await preprocessImage(file.buffer);
+    const cacheKey = getImageCacheKey(processed.buffer, options);
+
+    let dish = await getCachedAnalysis(cacheKey);
+    const cached = !!dish;
+
+    if (!cached) {
+      dish = await analyzeFoodImage(processed.buffer.toString('base64'), processed.mimeType, options);
+      await setCachedAnalysis(cacheKey, 'image', dish, options.promptVersion);
+    }
+
+    return { ...base, status: 'ok', dish, cached };
+  } catch (error) {
+    if (error instanceof ImageValidationError) {
+      return { ...base, status: 'error', error: { error: error.message, code: error.code } };
+    }
+
+    console.error(`Batch image ${index} analysis error:`, error);
+    const described = describeAIError(error);
+    return {
+      ...base,
+      status: 'error',
+      error: described ? described.body : { error: 'Failed to analyze image', details: error.message }
+    };
+  }
+}
+
+// POST /api/dishes/analyze-image/batch - Analyze several food images in one request
+// Form field "images" (up to MAX_BATCH_IMAGES). The whole batch must fit in the remaining
+// daily scan quota; only images that needed a fresh AI analysis are counted.
+router.post('/analyze-image/batch',
+  authMiddleware,
+  upload.array('images', MAX_BATCH_IMAGES),
+  handleUploadError,
+  rateLimitImageBatch,  // Checks the number of uploaded images against the quota
+  loadUserLanguage,
+  loadDietaryProfile,
+  async (req, res) => {
+    try {
+      const files = req.files || [];
+
+      if (files.length === 0) {
+        return res.status(400).json({
+          error: 'No image files provided'
+        });
+      }
+
+      // Usage is recorded below for the images that were actually analyzed
+      req.skipUsageIncrement = true;
+
+      const options = getAIOptions(req);
+      const results = await mapWithConcurrency(files, BATCH_CONCURRENCY, (file, index) =>
+        analyzeBatchImage(file, index, options)
+      );
+
+      const succeeded = results.filter(result => result.status === 'ok');
+      const scansCharged = succeeded.filter(result => !result.cached).length;
+      if (req.recordUsage) {
+        await req.recordUsage(scansCharged);
+      }
+
+      res.json({
+        message: `Analyzed ${succeeded.length} of ${files.length} images`,
+        results: results.map(result => (result.dish
+          ? { ...result, dish: annotateDish(result.dish, req.dietaryProfile) }
+          : result)),
+        summary: {
+          total: files.length,
+          succeeded: succeeded.length,
+          failed: files.length - succeeded.length,
+          cached: succeeded.length - scansCharged
+        },
         usage: req.usageInfo ? {
-          scansRemaining: req.usageInfo.remaining,
-          scansUsed: req.usageInfo.current + 1,
+          scansCharged,
+          scansRemaining: req.usageInfo.limit - req.usageInfo.current - scansCharged,
+          scansUsed: req.usageInfo.current + scansCharged,
           dailyLimit: req.usageInfo.limit
         } : undefined
       });
 
     } catch (error) {
-      console.error('Image analysis error:', error);
+      console.error('Batch image analysis error:', error);
       res.status(500).json({
-        error: 'Failed to analyze image',
+        error: 'Failed to analyze images',
         details: error.message
       });
     }
@@ -77,7 +473,7 @@ router.post('/analyze-image',
 
 // POST /api/dishes/analyze-text - Analyze food description with AI
 // Rate limited to control AI costs
-router.post('/analyze-text', authMiddleware, rateLimitTextAnalysis, async (req, res) => {
+router.post('/analyze-text', authMiddleware, rateLimitTextAnalysis, loadUserLanguage, loadDietaryProfile, async (req, res) => {
   try {
     const { description } = req.body;
 
@@ -87,21 +483,48 @@ router.post('/analyze-text', authMiddleware, rateLimitTextAnalysis, async (req,
       });
     }
 
-    // Analyze description with Claude AI
-    const dishInfo = await analyzeFoodDescription(description);
+    // Reuse a previous analysis of the same description (no AI call, no quota used)
+    const options = getAIOptions(req);
+    const cacheKey = getTextCacheKey(description, options);
+    let dishInfo = await getCachedAnalysis(cacheKey);
+    const cached = !!dishInfo;
+
+    if (!cached) {
+      // Analyze description with Claude AI
+      dishInfo = await analyzeFoodDescription(description, options);
+      await setCachedAnalysis(cacheKey, 'text', dishInfo, options.promptVersion);
+    }
+
+    // Uncertain identification - ask the diner before matching
+    const clarification = needsClarification(dishInfo)
+      ? await startClarificationSession({
+        userId: req.user.id,
+        kind: 'text',
+        analysis: dishInfo,
+        source: { description },
+        callContext: getAICallContext(req)
+      })
+      : null;
+
+    // A clarification session costs one unit even when the analysis was cached
+    const charged = !cached || !!clarification;
+    req.skipUsageIncrement = !charged;
 
     res.json({
-      message: 'Description analyzed successfully',
-      dish: dishInfo,
+      message: clarification ? 'Description analyzed - please answer a few questions to confirm the dish' : 'Description analyzed successfully',
+      dish: annotateDish(dishInfo, req.dietaryProfile),
+      clarification: clarification || undefined,
+      cached,
       usage: req.usageInfo ? {
-        analysesRemaining: req.usageInfo.remaining,
-        analysesUsed: req.usageInfo.current + 1,
+        analysesRemaining: charged ? req.usageInfo.remaining : req.usageInfo.remaining + 1,
+        analysesUsed: charged ? req.usageInfo.current + 1 : req.usageInfo.current,
         dailyLimit: req.usageInfo.limit
       } : undefined
     });
 
   } catch (error) {
     console.error('Text analysis error:', error);
+    if (respondWithAIError(res, error)) return;
     res.status(500).json({
       error: 'Failed to analyze description',
       details: error.message
@@ -109,16 +532,376 @@ router.post('/analyze-text', authMiddleware, rateLimitTextAnalysis, async (req,
   }
 });
 
+// POST /api/dishes/jobs - Queue an image or description analysis and return at once
+// Send an "image" file (multipart) or a "description"; optional "callbackUrl" is
+// POSTed the finished job. Quota is checked now (queued jobs count as reserved)
+// and used when the job completes, following the same rules as /analyze-image.
+router.post('/jobs',
+  authMiddleware,
+  upload.single('image'),
+  handleUploadError,
+  preprocessImages,
+  rateLimitAnalysisJob,  // Image or text quota, depending on the upload
+  loadUserLanguage,
+  async (req, res) => {
+    try {
+      const { description, callbackUrl } = req.body;
+      const kind = req.file ? 'image' : 'text';
+
+      if (kind === 'text' && (!description || description.trim().length === 0)) {
+        return res.status(400).json({
+          error: 'Please provide an image file or a food description'
+        });
+      }
+
+      if (callbackUrl) {
+        const callbackError = await validateCallbackUrl(callbackUrl);
+        if (callbackError) {
+          return res.status(400).json({ error: callbackError });
+        }
+      }
+
+      // Usage is recorded by the job worker once the analysis has run
+      req.skipUsageIncrement = true;
+
+      const job = await createAnalysisJob({
+        userId: req.user.id,
+        kind,
+        source: kind === 'image'
+          ? { base64Image: req.file.buffer.toString('base64'), mimeType: req.file.mimetype }
+          : { description },
+        options: getAIOptions(req),
+        callbackUrl
+      });
+
+      res.status(202)
+        .location(`${req.baseUrl}/jobs/${job.id}`)
+        .json({
+          message: 'Analysis job queued',
+          job: formatJob(job),
+          usage: req.usageInfo ? {
+            remaining: req.usageInfo.remaining,
+            dailyLimit: req.usageInfo.limit
+          } : undefined
+        });
+
+    } catch (error) {
+      console.error('Create analysis job error:', error);
+      res.status(500).json({
+        error: 'Failed to queue analysis',
+        details: error.message
+      });
+    }
+  }
+);
+
+// GET /api/dishes/jobs/:jobId - Get an analysis job's status and result
+router.get('/jobs/:jobId', authMiddleware, loadDietaryProfile, async (req, res) => {
+  try {
+    const job = await getAnalysisJob(req.params.jobId, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Analysis job not found'
+      });
+    }
+
+    res.json({
+      message: 'Analysis job retrieved successfully',
+      job: formatJob(job, req.dietaryProfile)
+    });
+
+  } catch (error) {
+    console.error('Get analysis job error:', error);
+    res.status(500).json({
+      error: 'Failed to get analysis job',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Read optional matching parameters for the streaming endpoints
+ * @returns {Object|null} findMatchesNearby options, or null when no location was given
+ */
+function getStreamMatchOptions({ latitude, longitude, maxDistance = 10, minSimilarity = 30, maxPrice, matchMode }) {
+  if (!latitude || !longitude) {
+    return null;
+  }
+
+  return {
+    userLocation: {
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude)
+    },
+    maxDistance: parseFloat(maxDistance),
+    minSimilarity: parseFloat(minSimilarity),
+    maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
+    matchMode: MATCH_MODES.includes(matchMode) ? matchMode : DEFAULT_MATCH_MODE
+  };
+}
+
+/**
+ * Run an analysis as a Server-Sent Events stream
+ * Events: stage ({ stage }), partial ({ field, value }), result ({ dish, clarification?, cached, usage }),
+ * matches ({ matches, restaurantsSearched }), error ({ error, code?, details }) and done
+ *
+ * The response is 200 as soon as the stream opens, so the rate limiter cannot tell
+ * success from failure - usage is recorded here, only when the AI call succeeded
+ * (or a clarification session was opened for a cached analysis).
+ */
+async function streamAnalysis(req, res, { firstStage, kind, cacheKey, source, analyze, formatUsage, matchOptions }) {
+  req.skipUsageIncrement = true;
+  const stream = openEventStream(res);
+
+  try {
+    stream.send('stage', { stage: firstStage });
+
+    let dish = await getCachedAnalysis(cacheKey);
+    const cached = !!dish;
+
+    if (!cached) {
+      stream.send('stage', { stage: 'analyzing' });
+      dish = await analyze((field, value) => stream.send('partial', { field, value }));
+      await setCachedAnalysis(cacheKey, kind, dish, dish.promptVersion);
+    }
+
+    let clarification = null;
+    if (needsClarification(dish)) {
+      stream.send('stage', { stage: 'clarifying' });
+      clarification = await startClarificationSession({
+        userId: req.user.id,
+        kind,
+        analysis: dish,
+        source,
+        callContext: getAICallContext(req)
+      });
+    }
+
+    // A clarification session costs one unit even when the analysis was cached
+    const charged = !cached || !!clarification;
+    if (charged && req.recordUsage) {
+      await req.recordUsage();
+    }
+
+    stream.send('result', {
+      dish: annotateDish(dish, req.dietaryProfile),
+      clarification: clarification || undefined,
+      cached,
+      usage: req.usageInfo ? formatUsage(charged) : undefined
+    });
+
+    if (matchOptions) {
+      stream.send('stage', { stage: 'matching' });
+      const { matches, restaurantsSearched } = await findMatchesNearby({
+        targetDish: dish,
+        ...matchOptions,
+        weights: resolveMatchWeights(req.matchSettings.preset, req.matchSettings.weights).weights,
+        dietaryProfile: req.dietaryProfile
+      });
+      stream.send('matches', { matches, restaurantsSearched });
+    }
+
+    stream.send('done', {});
+  } catch (error) {
+    console.error('Streaming analysis error:', error);
+    const described = describeAIError(error);
+    stream.send('error', described ? described.body : {
+      error: 'Failed to analyze',
+      details: error.message
+    });
+  } finally {
+    stream.close();
+  }
+}
+
+// POST /api/dishes/analyze-image/stream - Analyze food image, streaming progress over SSE
+// Optional form fields latitude/longitude (plus maxDistance, minSimilarity, maxPrice, matchMode)
+// also stream matching restaurants once the analysis is done
+router.post('/analyze-image/stream',
+  authMiddleware,
+  rateLimitImageAnalysis,
+  loadUserLanguage,
+  loadDietaryProfile,
+  loadMatchSettings,  // Weights for the optional matches
+  upload.single('image'),
+  handleUploadError,
+  preprocessImages,  // Validate, strip EXIF and downsize before any AI call
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No image file provided'
+      });
+    }
+
+    const base64Image = req.file.buffer.toString('base64');
+    const mimeType = req.file.mimetype;
+    const options = getAIOptions(req);
+
+    await streamAnalysis(req, res, {
+      firstStage: 'uploaded',
+      kind: 'image',
+      cacheKey: getImageCacheKey(req.file.buffer, options),
+      source: { base64Image, mimeType },
+      analyze: (onPartial) => analyzeFoodImage(base64Image, mimeType, { ...options, onPartial }),
+      formatUsage: (charged) => ({
+        scansRemaining: charged ? req.usageInfo.remaining : req.usageInfo.remaining + 1,
+        scansUsed: charged ? req.usageInfo.current + 1 : req.usageInfo.current,
+        dailyLimit: req.usageInfo.limit
+      }),
+      matchOptions: getStreamMatchOptions(req.body)
+    });
+  }
+);
+
+// POST /api/dishes/analyze-text/stream - Analyze food description, streaming progress over SSE
+// Optional userLocation (plus maxDistance, minSimilarity, maxPrice, matchMode) also streams matching restaurants
+router.post('/analyze-text/stream', authMiddleware, rateLimitTextAnalysis, loadUserLanguage, loadDietaryProfile, loadMatchSettings, async (req, res) => {
+  const { description, userLocation } = req.body;
+
+  if (!description || description.trim().length === 0) {
+    return res.status(400).json({
+      error: 'Please provide a food description'
+    });
+  }
+
+  const options = getAIOptions(req);
+
+  await streamAnalysis(req, res, {
+    firstStage: 'received',
+    kind: 'text',
+    cacheKey: getTextCacheKey(description, options),
+    source: { description },
+    analyze: (onPartial) => analyzeFoodDescription(description, { ...options, onPartial }),
+    formatUsage: (charged) => ({
+      analysesRemaining: charged ? req.usageInfo.remaining : req.usageInfo.remaining + 1,
+      analysesUsed: charged ? req.usageInfo.current + 1 : req.usageInfo.current,
+      dailyLimit: req.usageInfo.limit
+    }),
+    matchOptions: getStreamMatchOptions({ ...req.body, ...userLocation })
+  });
+});
+
+// POST /api/dishes/clarifications/:sessionId - Answer clarification questions and refine the dish
+// Not rate limited: the analysis that opened the session already used the session's one quota unit
+// Body: { answers: [...] } - one answer per question, in order (empty string to skip a question)
+router.post('/clarifications/:sessionId', authMiddleware, loadDietaryProfile, async (req, res) => {
+  try {
+    const { answers } = req.body;
+    const session = await getClarificationSession(req.params.sessionId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Clarification session not found'
+      });
+    }
+
+    if (session.status !== 'open') {
+      return res.status(409).json({
+        error: session.status === 'resolved'
+          ? 'This clarification session has already been answered'
+          : 'This clarification session is being answered'
+      });
+    }
+
+    if (new Date(session.expires_at) <= new Date()) {
+      await clearExpiredClarificationSources();
+      return res.status(410).json({
+        error: 'Clarification session expired. Please analyze the dish again.'
+      });
+    }
+
+    if (!Array.isArray(answers) || answers.length > session.questions.length ||
+      answers.some(answer => typeof answer !== 'string')) {
+      return res.status(400).json({
+        error: `answers must be an array of up to ${session.questions.length} strings, one per question`
+      });
+    }
+
+    const clarifications = answers
+      .map((answer, index) => ({ question: session.questions[index].question, answer: answer.trim() }))
+      .filter(({ answer }) => answer.length > 0);
+
+    if (clarifications.length === 0) {
+      return res.status(400).json({
+        error: 'Please answer at least one question'
+      });
+    }
+
+    if (!await claimClarificationSession(session.id)) {
+      return res.status(409).json({
+        error: 'This clarification session has already been answered'
+      });
+    }
+
+    let refined;
+    try {
+      refined = await refineDishAnalysis(session.analysis, session.source, clarifications, {
+        callContext: getAICallContext(req)
+      });
+    } catch (error) {
+      await releaseClarificationSession(session.id);
+      throw error;
+    }
+
+    await resolveClarificationSession(session.id, { answers: clarifications, refinedAnalysis: refined });
+
+    res.json({
+      message: 'Dish analysis refined successfully',
+      dish: annotateDish(refined, req.dietaryProfile),
+      originalDish: session.analysis
+    });
+
+  } catch (error) {
+    console.error('Clarification error:', error);
+    if (respondWithAIError(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to refine analysis',
+      details: error.message
+    });
+  }
+});
+
 // POST /api/dishes/find-matches - Find matching dishes at nearby restaurants
-router.post('/find-matches', authMiddleware, async (req, res) => {
+// Matches carry dietaryWarnings for the user's dietary profile; strictDietary (default:
+// the profile's strictMode) leaves out dishes that conflict with it
+// matchMode 'hybrid' also compares dish embeddings (default: MATCH_MODE)
+// matchPreset / matchWeights override the user's match_preset / match_weights settings
+// Paged: sort (similarity, distance, price, rating; default similarity), limit and
+// cursor (next_cursor of the previous page)
+// openNow: true or openAt (ISO date-time) only matches restaurants open at that time
+router.post('/find-matches', authMiddleware, loadDietaryProfile, loadMatchSettings, async (req, res) => {
   try {
     const {
-      targetDish,
       userLocation,
       maxDistance = 10, // km
       minSimilarity = 30,
-      maxPrice
+      maxPrice,
+      detectionId,
+      detectedDishes,
+      dishIndex,
+      strictDietary,
+      matchMode = DEFAULT_MATCH_MODE,
+      matchPreset,
+      matchWeights,
+      sort,
+      limit,
+      cursor,
+      openNow,
+      openAt: openAtParam
     } = req.body;
+    let { targetDish } = req.body;
+
+    // A dish from a multi-dish detection can be selected by index instead of sent in full
+    if (dishIndex !== undefined && dishIndex !== null) {
+      targetDish = await getDetectedDish({ detectionId, detectedDishes, dishIndex });
+
+      if (!targetDish) {
+        return res.status(404).json({
+          error: 'Detected dish not found. Check dishIndex, or analyze the image again if the detection expired.'
+        });
+      }
+    }
 
     if (!targetDish || !targetDish.name) {
       return res.status(400).json({
@@ -132,73 +915,95 @@ router.post('/find-matches', authMiddleware, async (req, res) => {
       });
     }
 
-    // Get all restaurants
-    const { data: allRestaurants, error: restaurantsError } = await supabase
-      .from('restaurants')
-      .select('*');
+    if (strictDietary !== undefined && typeof strictDietary !== 'boolean') {
+      return res.status(400).json({
+        error: 'strictDietary must be true or false'
+      });
+    }
 
-    if (restaurantsError) {
-      throw new Error('Failed to fetch restaurants');
+    if (!MATCH_MODES.includes(matchMode)) {
+      return res.status(400).json({
+        error: `matchMode must be one of: ${MATCH_MODES.join(', ')}`
+      });
     }
 
-    // Filter restaurants by distance
-    const nearbyRestaurants = filterByDistance(
-      allRestaurants,
-      userLocation.latitude,
-      userLocation.longitude,
-      maxDistance
+    // A preset from the request replaces the user's preset and overrides together
+    const { weights, error: weightsError } = resolveMatchWeights(
+      matchPreset ?? req.matchSettings.preset,
+      matchWeights ?? (matchPreset === undefined ? req.matchSettings.weights : null)
     );
 
-    if (nearbyRestaurants.length === 0) {
-      return res.json({
-        message: 'No restaurants found within the specified distance',
-        matches: []
+    if (weightsError) {
+      return res.status(400).json({
+        error: weightsError
       });
     }
 
-    // Get all dishes from nearby restaurants
-    const restaurantIds = nearbyRestaurants.map(r => r.id);
-    const { data: allDishes, error: dishesError } = await supabase
-      .from('restaurant_dishes')
-      .select('*')
-      .in('restaurant_id', restaurantIds);
+    const { pagination, error: paginationError } = parsePagination({ sort, limit, cursor }, {
+      sorts: MATCH_SORTS,
+      defaultSort: 'similarity'
+    });
 
-    if (dishesError) {
-      throw new Error('Failed to fetch dishes');
+    if (paginationError) {
+      return res.status(400).json({
+        error: paginationError
+      });
     }
 
-    // Find matching dishes
-    let matches = findMatchingDishes(targetDish, allDishes, minSimilarity);
+    const { openAt, error: openFilterError } = parseOpenFilter({ openNow, openAt: openAtParam });
 
-    // Filter by price if specified
-    if (maxPrice) {
-      matches = matches.filter(dish => dish.price <= maxPrice);
+    if (openFilterError) {
+      return res.status(400).json({
+        error: openFilterError
+      });
     }
 
-    // Enrich matches with restaurant info and distance
-    const enrichedMatches = matches.map(dish => {
-      const restaurant = nearbyRestaurants.find(r => r.id === dish.restaurant_id);
-      return {
-        ...dish,
-        restaurant: {
-          id: restaurant.id,
-          name: restaurant.name,
-          address: restaurant.address,
-          cuisine_type: restaurant.cuisine_type,
-          rating: restaurant.rating,
-          distance: restaurant.distance
-        }
-      };
+    const dietaryProfile = req.dietaryProfile && strictDietary !== undefined
+      ? { ...req.dietaryProfile, strictMode: strictDietary }
+      : req.dietaryProfile;
+
+    const { matches, restaurantsSearched } = await findMatchesNearby({
+      targetDish,
+      userLocation,
+      maxDistance,
+      minSimilarity,
+      maxPrice,
+      dietaryProfile,
+      matchMode,
+      weights,
+      openAt
     });
 
+    if (restaurantsSearched === 0) {
+      return res.json({
+        message: openAt
+          ? 'No restaurants open at that time within the specified distance'
+          : 'No restaurants found within the specified distance',
+        matches: [],
+        next_cursor: null
+      });
+    }
+
+    // Every match is scored on each request; the cursor picks the page
+    const page = paginateItems(matches, pagination);
+
     res.json({
-      message: `Found ${enrichedMatches.length} matching dishes`,
-      matches: enrichedMatches,
+      message: `Found ${matches.length} matching dishes`,
+      matches: page.items,
+      next_cursor: page.next_cursor,
       searchParams: {
         maxDistance,
         minSimilarity,
         maxPrice,
-        restaurantsSearched: nearbyRestaurants.length
+        dishIndex,
+        strictDietary: !!dietaryProfile?.strictMode,
+        matchMode,
+        matchPreset: matchPreset ?? req.matchSettings.preset,
+        matchWeights: weights,
+        sort: pagination.sort,
+        limit: pagination.limit,
+        openAt: openAt ? openAt.toISOString() : null,
+        restaurantsSearched
       }
     });
 
@@ -211,6 +1016,230 @@ router.post('/find-matches', authMiddleware, async (req, res) => {
   }
 });
 
+// POST /api/dishes/nutrition - Get nutrition info for a dish by name or analysis
+// Body: { dishName } or { analysis } (as returned by /analyze-image or /analyze-text)
+router.post('/nutrition', authMiddleware, rateLimitNutrition, loadUserLanguage, async (req, res) => {
+  try {
+    const { dishName, analysis } = req.body;
+    const name = dishName || analysis?.name;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Please provide a dish name or dish analysis'
+      });
+    }
+
+    const nutrition = await getNutritionalInfo(name.trim(), getAIOptions(req));
+
+    res.json({
+      message: 'Nutrition info retrieved successfully',
+      nutrition,
+      usage: req.usageInfo ? {
+        lookupsRemaining: req.usageInfo.remaining,
+        lookupsUsed: req.usageInfo.current + 1,
+        dailyLimit: req.usageInfo.limit
+      } : undefined
+    });
+
+  } catch (error) {
+    console.error('Nutrition lookup error:', error);
+    if (respondWithAIError(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to get nutrition info',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/dishes/recipe - Generate a recipe for cooking an analyzed dish at home
+// Body: { dish (analysis), servings?, dietaryConstraints?: [dietary tags], save?: boolean }
+router.post('/recipe', authMiddleware, rateLimitRecipe, loadUserLanguage, async (req, res) => {
+  try {
+    const { dish, servings = DEFAULT_RECIPE_SERVINGS, dietaryConstraints = [], save = false } = req.body;
+
+    if (!dish) {
+      return res.status(400).json({
+        error: 'Please provide a dish analysis'
+      });
+    }
+
+    const validationErrors = validate(RECIPE_DISH_SCHEMA, dish, 'dish');
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid dish analysis',
+        validationErrors
+      });
+    }
+
+    if (!Number.isInteger(servings) || servings < 1 || servings > MAX_RECIPE_SERVINGS) {
+      return res.status(400).json({
+        error: `servings must be a whole number between 1 and ${MAX_RECIPE_SERVINGS}`
+      });
+    }
+
+    if (!Array.isArray(dietaryConstraints) || dietaryConstraints.some(tag => !DIETARY_TAGS.includes(tag))) {
+      return res.status(400).json({
+        error: `dietaryConstraints must only contain: ${DIETARY_TAGS.join(', ')}`
+      });
+    }
+
+    // Only the analysis fields are used (and stored with a saved recipe)
+    const analysis = pickSchemaFields(DISH_ANALYSIS_SCHEMA, dish);
+    const recipe = await generateRecipe(analysis, { servings, dietaryConstraints }, getAIOptions(req));
+
+    let savedRecipe;
+    if (save === true) {
+      const { data, error } = await supabase
+        .from('saved_recipes')
+        .insert({
+          user_id: req.user.id,
+          dish_name: analysis.name,
+          dish: analysis,
+          recipe,
+          servings,
+          dietary_constraints: dietaryConstraints
+        })
+        .select('id, created_at')
+        .single();
+
+      if (error) {
+        // The recipe was generated (and counted) - still return it
+        console.error('Error saving recipe:', error);
+      } else {
+        savedRecipe = { id: data.id, savedAt: data.created_at };
+      }
+    }
+
+    res.json({
+      message: 'Recipe generated successfully',
+      recipe,
+      saved: !!savedRecipe,
+      savedRecipe,
+      usage: req.usageInfo ? {
+        recipesRemaining: req.usageInfo.remaining,
+        recipesUsed: req.usageInfo.current + 1,
+        dailyLimit: req.usageInfo.limit
+      } : undefined
+    });
+
+  } catch (error) {
+    console.error('Recipe generation error:', error);
+    if (respondWithAIError(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to generate recipe',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get the stored nutrition info of a restaurant dish in a language
+ * English is kept in nutrition_info, other languages in nutrition_info_localized
+ * @returns {{ nutrition: Object, updatedAt: string }|null}
+ */
+function getStoredNutrition(dish, language) {
+  if (language === DEFAULT_LANGUAGE) {
+    return dish.nutrition_info
+      ? { nutrition: dish.nutrition_info, updatedAt: dish.nutrition_updated_at }
+      : null;
+  }
+  return dish.nutrition_info_localized?.[language] || null;
+}
+
+/**
+ * Load a restaurant dish for nutrition lookup (after loadUserLanguage)
+ * Responds directly when nutrition was already stored in the user's language, so no quota is used
+ */
+const loadDishNutrition = async (req, res, next) => {
+  try {
+    const { data: dish, error } = await supabase
+      .from('restaurant_dishes')
+      .select('id, name, nutrition_info, nutrition_updated_at, nutrition_info_localized')
+      .eq('id', req.params.dishId)
+      .single();
+
+    if (error || !dish) {
+      return res.status(404).json({
+        error: 'Dish not found'
+      });
+    }
+
+    const stored = getStoredNutrition(dish, req.language);
+    if (stored) {
+      return res.json({
+        message: 'Nutrition info retrieved successfully',
+        dishId: dish.id,
+        nutrition: stored.nutrition,
+        cached: true,
+        updatedAt: stored.updatedAt
+      });
+    }
+
+    req.dish = dish;
+    next();
+  } catch (error) {
+    console.error('Load dish nutrition error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch dish details'
+    });
+  }
+};
+
+// GET /api/dishes/:dishId/nutrition - Get nutrition info for a restaurant dish
+// Looked up with AI once per language, then served from restaurant_dishes
+router.get('/:dishId/nutrition',
+  authMiddleware,
+  loadUserLanguage,
+  loadDishNutrition,
+  rateLimitNutrition,
+  async (req, res) => {
+    try {
+      const nutrition = await getNutritionalInfo(req.dish.name, getAIOptions(req));
+      const updatedAt = new Date().toISOString();
+
+      const update = req.language === DEFAULT_LANGUAGE
+        ? { nutrition_info: nutrition, nutrition_updated_at: updatedAt }
+        : {
+          nutrition_info_localized: {
+            ...req.dish.nutrition_info_localized,
+            [req.language]: { nutrition, updatedAt }
+          }
+        };
+
+      const { error: updateError } = await supabase
+        .from('restaurant_dishes')
+        .update(update)
+        .eq('id', req.dish.id);
+
+      if (updateError) {
+        // Still return the result - it will just be looked up again next time
+        console.error('Error saving dish nutrition:', updateError);
+      }
+
+      res.json({
+        message: 'Nutrition info retrieved successfully',
+        dishId: req.dish.id,
+        nutrition,
+        cached: false,
+        updatedAt,
+        usage: req.usageInfo ? {
+          lookupsRemaining: req.usageInfo.remaining,
+          lookupsUsed: req.usageInfo.current + 1,
+          dailyLimit: req.usageInfo.limit
+        } : undefined
+      });
+
+    } catch (error) {
+      console.error('Dish nutrition error:', error);
+      if (respondWithAIError(res, error)) return;
+      res.status(500).json({
+        error: 'Failed to get nutrition info',
+        details: error.message
+      });
+    }
+  }
+);
+
 // GET /api/dishes/:dishId - Get dish details
 router.get('/:dishId', authMiddleware, async (req, res) => {
   try {
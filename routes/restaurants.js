@@ -2,7 +2,27 @@
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
 const authMiddleware = require('../middleware/auth');
+const { loadDietaryProfile } = require('../middleware/dietaryProfile');
+const { upload, handleUploadError } = require('../middleware/upload');
+const { preprocessImages } = require('../middleware/imagePreprocess');
+const { extractMenuFromImages } = require('../config/aiService');
+const { respondWithAIError } = require('../config/aiErrors');
+const { MENU_ITEM_SCHEMA, validate } = require('../config/aiSchemas');
 const { calculateDistance } = require('../utils/dishMatching');
+const { findRestaurantsWithin, findNearestRestaurants } = require('../utils/nearbyRestaurants');
+const {
+  parsePagination,
+  paginateItems,
+  applyKeysetPage,
+  finishKeysetPage,
+  fetchFilteredKeysetPage
+} = require('../utils/pagination');
+const { parseOpenFilter, filterOpenAt, formatOpeningHours } = require('../utils/openingHours');
+const { markDuplicates } = require('../utils/menuImport');
+const { indexDishes } = require('../utils/dishRanker');
+const { embedDishes } = require('../utils/dishEmbeddings');
+const { annotateDishes } = require('../utils/dietaryConflicts');
+const { getAICallContext } = require('../utils/aiLedger');
 
 const router = express.Router();
 
@@ -11,52 +31,172 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
-// GET /api/restaurants - Get all restaurants
+// Maximum menu photos per import request
+const MAX_MENU_IMAGES = parseInt(process.env.MAX_MENU_IMAGES) || 5;
+
+// Sort options of the list endpoints (see utils/pagination)
+const RESTAURANT_SORTS = { distance: 'distance', rating: 'rating', name: 'name' };
+const MENU_SORTS = { name: 'name', price: 'price' };
+
+/**
+ * Restaurant manager middleware - admins, or the restaurant's owner
+ * Attaches the restaurant to req.restaurant
+ */
+const restaurantManagerMiddleware = async (req, res, next) => {
+  try {
+    const { data: restaurant, error } = await supabase
+      .from('restaurants')
+      .select('id, name, owner_id')
+      .eq('id', req.params.restaurantId)
+      .single();
+
+    if (error || !restaurant) {
+      return res.status(404).json({
+        error: 'Restaurant not found'
+      });
+    }
+
+    const isAdmin = req.user.is_admin || req.user.role === 'admin';
+    if (!isAdmin && restaurant.owner_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Restaurant owner or admin access required',
+        message: 'You do not have permission to manage this restaurant'
+      });
+    }
+
+    req.restaurant = restaurant;
+    next();
+  } catch (error) {
+    console.error('Restaurant access check error:', error);
+    res.status(500).json({
+      error: 'Failed to verify restaurant access'
+    });
+  }
+};
+
+/**
+ * Get the current menu of a restaurant for duplicate detection
+ */
+async function getExistingMenu(restaurantId) {
+  const { data, error } = await supabase
+    .from('restaurant_dishes')
+    .select('id, name')
+    .eq('restaurant_id', restaurantId);
+
+  if (error) {
+    throw new Error('Failed to fetch menu');
+  }
+
+  return data || [];
+}
+
+// GET /api/restaurants - Get restaurants, a page at a time
+// Query: sort (distance, rating, name; default distance with a location, else name),
+// limit and cursor (next_cursor of the previous page); openNow=true or openAt (ISO
+// date-time) keeps only restaurants open at that time. Sorting by distance needs
+// latitude and longitude.
 router.get('/', authMiddleware, async (req, res) => {
   try {
     const { latitude, longitude, maxDistance, cuisineType } = req.query;
+    const hasLocation = Boolean(latitude && longitude);
+    const hasRadius = hasLocation && Boolean(maxDistance);
 
-    let query = supabase
-      .from('restaurants')
-      .select('*')
-      .order('name');
+    const { openAt, error: openFilterError } = parseOpenFilter(req.query);
 
-    // Filter by cuisine type if provided
-    if (cuisineType) {
-      query = query.eq('cuisine_type', cuisineType);
+    if (openFilterError) {
+      return res.status(400).json({
+        error: openFilterError
+      });
     }
 
-    const { data: restaurants, error } = await query;
+    const { pagination, error: paginationError } = parsePagination(req.query, {
+      sorts: RESTAURANT_SORTS,
+      defaultSort: hasLocation ? 'distance' : 'name'
+    });
+
+    if (paginationError) {
+      return res.status(400).json({
+        error: paginationError
+      });
+    }
 
-    if (error) {
-      throw new Error('Failed to fetch restaurants');
+    if (pagination.sort === 'distance' && !hasLocation) {
+      return res.status(400).json({
+        error: 'Please provide latitude and longitude to sort by distance'
+      });
     }
 
-    // Add distance if user location provided
-    let result = restaurants;
-    if (latitude && longitude) {
-      result = restaurants.map(restaurant => ({
-        ...restaurant,
-        distance: calculateDistance(
-          parseFloat(latitude),
-          parseFloat(longitude),
-          restaurant.latitude,
-          restaurant.longitude
-        )
-      }));
+    // Filter by cuisine type if provided; opening hours are checked in memory
+    const filterCuisine = (query) => (cuisineType ? query.eq('cuisine_type', cuisineType) : query);
+    const filterOpen = (restaurants) => filterOpenAt(restaurants, openAt);
+
+    const withDistance = (restaurant) => ({
+      ...restaurant,
+      distance: calculateDistance(
+        parseFloat(latitude),
+        parseFloat(longitude),
+        restaurant.latitude,
+        restaurant.longitude
+      )
+    });
 
-      // Filter by distance if specified
-      if (maxDistance) {
-        result = result.filter(r => r.distance <= parseFloat(maxDistance));
+    let page;
+    if (hasRadius) {
+      // Only restaurants inside the radius are fetched
+      const nearbyRestaurants = await findRestaurantsWithin({
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        radiusKm: parseFloat(maxDistance),
+        refine: filterCuisine
+      });
+      page = paginateItems(filterOpen(nearbyRestaurants), pagination);
+    } else if (pagination.sort === 'distance') {
+      // Nearest first: the search widens until the page (and one more, for
+      // next_cursor) is past the cursor
+      const beyondKm = Number.isFinite(pagination.after?.value) ? pagination.after.value : 0;
+      const nearestRestaurants = await findNearestRestaurants({
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        count: pagination.limit + 1,
+        beyondKm,
+        refine: filterCuisine,
+        filter: filterOpen
+      });
+      page = paginateItems(nearestRestaurants, pagination);
+    } else {
+      const buildQuery = () => filterCuisine(
+        supabase
+          .from('restaurants')
+          .select('*')
+      );
+
+      if (openAt) {
+        // Closed restaurants are dropped batch by batch until the page is filled
+        const { page: openPage, error } = await fetchFilteredKeysetPage(buildQuery, pagination, filterOpen);
+
+        if (error) {
+          throw new Error('Failed to fetch restaurants');
+        }
+        page = openPage;
+      } else {
+        const { data: restaurants, error } = await applyKeysetPage(buildQuery(), pagination);
+
+        if (error) {
+          throw new Error('Failed to fetch restaurants');
+        }
+        page = finishKeysetPage(restaurants, pagination);
       }
 
-      // Sort by distance
-      result.sort((a, b) => a.distance - b.distance);
+      // Add distance if user location provided
+      if (hasLocation) {
+        page.items = page.items.map(withDistance);
+      }
     }
 
     res.json({
-      restaurants: result,
-      count: result.length
+      restaurants: page.items,
+      count: page.items.length,
+      next_cursor: page.next_cursor
     });
 
   } catch (error) {
@@ -68,6 +208,7 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 // GET /api/restaurants/:restaurantId - Get restaurant details
+// openingHours: { timezone, weekly, exceptions (from today on), openNow }
 router.get('/:restaurantId', authMiddleware, async (req, res) => {
   try {
     const { restaurantId } = req.params;
@@ -84,7 +225,10 @@ router.get('/:restaurantId', authMiddleware, async (req, res) => {
       });
     }
 
-    res.json({ restaurant });
+    res.json({
+      restaurant,
+      openingHours: formatOpeningHours(restaurant)
+    });
 
   } catch (error) {
     console.error('Get restaurant error:', error);
@@ -94,12 +238,25 @@ router.get('/:restaurantId', authMiddleware, async (req, res) => {
   }
 });
 
-// GET /api/restaurants/:restaurantId/menu - Get restaurant menu
-router.get('/:restaurantId/menu', authMiddleware, async (req, res) => {
+// GET /api/restaurants/:restaurantId/menu - Get restaurant menu, a page at a time
+// Each dish carries dietaryWarnings for the user's dietary profile
+// Query: sort (name, price; default name), limit and cursor
+router.get('/:restaurantId/menu', authMiddleware, loadDietaryProfile, async (req, res) => {
   try {
     const { restaurantId } = req.params;
     const { category, maxPrice, minPrice } = req.query;
 
+    const { pagination, error: paginationError } = parsePagination(req.query, {
+      sorts: MENU_SORTS,
+      defaultSort: 'name'
+    });
+
+    if (paginationError) {
+      return res.status(400).json({
+        error: paginationError
+      });
+    }
+
     // First check if restaurant exists
     const { data: restaurant, error: restaurantError } = await supabase
       .from('restaurants')
@@ -117,8 +274,7 @@ router.get('/:restaurantId/menu', authMiddleware, async (req, res) => {
     let query = supabase
       .from('restaurant_dishes')
       .select('*')
-      .eq('restaurant_id', restaurantId)
-      .order('name');
+      .eq('restaurant_id', restaurantId);
 
     // Apply filters
     if (category) {
@@ -133,19 +289,22 @@ router.get('/:restaurantId/menu', authMiddleware, async (req, res) => {
       query = query.lte('price', parseFloat(maxPrice));
     }
 
-    const { data: dishes, error: dishesError } = await query;
+    const { data: dishes, error: dishesError } = await applyKeysetPage(query, pagination);
 
     if (dishesError) {
       throw new Error('Failed to fetch menu');
     }
 
+    const page = finishKeysetPage(dishes, pagination);
+
     res.json({
       restaurant: {
         id: restaurant.id,
         name: restaurant.name
       },
-      menu: dishes,
-      count: dishes.length
+      menu: annotateDishes(page.items, req.dietaryProfile),
+      count: page.items.length,
+      next_cursor: page.next_cursor
     });
 
   } catch (error) {
@@ -156,7 +315,130 @@ router.get('/:restaurantId/menu', authMiddleware, async (req, res) => {
   }
 });
 
-// GET /api/restaurants/search/nearby - Search nearby restaurants
+// POST /api/restaurants/:restaurantId/menu/import - Read menu photos into a draft
+// Nothing is saved: the draft is reviewed, edited and sent to /menu/import/confirm
+router.post('/:restaurantId/menu/import',
+  authMiddleware,
+  restaurantManagerMiddleware,
+  upload.array('images', MAX_MENU_IMAGES),
+  handleUploadError,
+  preprocessImages,  // Validate, strip EXIF and downsize before any AI call
+  async (req, res) => {
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          error: 'No menu images provided'
+        });
+      }
+
+      const images = req.files.map(file => ({
+        base64Image: file.buffer.toString('base64'),
+        mimeType: file.mimetype
+      }));
+
+      const extractedDishes = await extractMenuFromImages(images, { callContext: getAICallContext(req) });
+      const existingMenu = await getExistingMenu(req.restaurant.id);
+      const draft = markDuplicates(extractedDishes, existingMenu);
+
+      res.json({
+        message: `Extracted ${draft.length} dishes from ${images.length} menu image(s)`,
+        restaurant: {
+          id: req.restaurant.id,
+          name: req.restaurant.name
+        },
+        draft,
+        counts: {
+          extracted: draft.length,
+          duplicates: draft.filter(dish => dish.duplicate).length,
+          existingMenu: existingMenu.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Menu import error:', error);
+      if (respondWithAIError(res, error)) return;
+      res.status(500).json({
+        error: 'Failed to import menu',
+        details: error.message
+      });
+    }
+  }
+);
+
+// POST /api/restaurants/:restaurantId/menu/import/confirm - Save a reviewed draft
+// Body: { dishes: [{ name, description, price, category, ingredients }] }
+// Dishes already on the menu (or repeated in the draft) are skipped
+router.post('/:restaurantId/menu/import/confirm', authMiddleware, restaurantManagerMiddleware, async (req, res) => {
+  try {
+    const { dishes } = req.body;
+
+    if (!Array.isArray(dishes) || dishes.length === 0) {
+      return res.status(400).json({
+        error: 'Please provide the dishes to import'
+      });
+    }
+
+    const validationErrors = dishes.flatMap((dish, index) =>
+      validate(MENU_ITEM_SCHEMA, dish, `dishes[${index}]`)
+    );
+
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid dishes',
+        validationErrors
+      });
+    }
+
+    const existingMenu = await getExistingMenu(req.restaurant.id);
+    const checkedDishes = markDuplicates(dishes, existingMenu);
+    const newDishes = checkedDishes.filter(dish => !dish.duplicate);
+    const skipped = checkedDishes.filter(dish => dish.duplicate);
+
+    let inserted = [];
+    if (newDishes.length > 0) {
+      const { data, error } = await supabase
+        .from('restaurant_dishes')
+        .insert(newDishes.map(dish => ({
+          restaurant_id: req.restaurant.id,
+          name: dish.name.trim(),
+          description: dish.description,
+          price: dish.price,
+          category: dish.category || null,
+          ingredients: dish.ingredients
+        })))
+        .select();
+
+      if (error) {
+        throw new Error('Failed to save dishes');
+      }
+      inserted = data;
+      indexDishes(inserted);
+
+      // Embeddings are only needed for hybrid matching - don't hold up the response
+      embedDishes(inserted).catch(error => console.error('Menu import embedding error:', error));
+    }
+
+    res.status(201).json({
+      message: `Imported ${inserted.length} dishes, skipped ${skipped.length} duplicates`,
+      inserted,
+      skipped: skipped.map(dish => ({
+        name: dish.name,
+        duplicateOf: dish.duplicateOf
+      }))
+    });
+
+  } catch (error) {
+    console.error('Confirm menu import error:', error);
+    res.status(500).json({
+      error: 'Failed to save imported menu',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/restaurants/search/nearby - Search nearby restaurants, a page at a time
+// Query: sort (distance, rating, name; default distance), limit and cursor;
+// openNow=true or openAt (ISO date-time) keeps only restaurants open at that time
 router.get('/search/nearby', authMiddleware, async (req, res) => {
   try {
     const { latitude, longitude, radius = 5 } = req.query;
@@ -167,32 +449,38 @@ router.get('/search/nearby', authMiddleware, async (req, res) => {
       });
     }
 
-    const { data: restaurants, error } = await supabase
-      .from('restaurants')
-      .select('*');
-
-    if (error) {
-      throw new Error('Failed to fetch restaurants');
-    }
-
-    // Calculate distances and filter
-    const nearbyRestaurants = restaurants
-      .map(restaurant => ({
-        ...restaurant,
-        distance: calculateDistance(
-          parseFloat(latitude),
-          parseFloat(longitude),
-          restaurant.latitude,
-          restaurant.longitude
-        )
-      }))
-      .filter(restaurant => restaurant.distance <= parseFloat(radius))
-      .sort((a, b) => a.distance - b.distance);
+    const { openAt, error: openFilterError } = parseOpenFilter(req.query);
+
+    if (openFilterError) {
+      return res.status(400).json({
+        error: openFilterError
+      });
+    }
+
+    const { pagination, error: paginationError } = parsePagination(req.query, {
+      sorts: RESTAURANT_SORTS,
+      defaultSort: 'distance'
+    });
+
+    if (paginationError) {
+      return res.status(400).json({
+        error: paginationError
+      });
+    }
+
+    // Only restaurants inside the radius are fetched
+    const nearbyRestaurants = await findRestaurantsWithin({
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude),
+      radiusKm: parseFloat(radius)
+    });
+    const page = paginateItems(filterOpenAt(nearbyRestaurants, openAt), pagination);
 
     res.json({
-      restaurants: nearbyRestaurants,
-      count: nearbyRestaurants.length,
-      searchRadius: parseFloat(radius)
+      restaurants: page.items,
+      count: page.items.length,
+      searchRadius: parseFloat(radius),
+      next_cursor: page.next_cursor
     });
 
   } catch (error) {
@@ -2,6 +2,21 @@
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
 const authMiddleware = require('../middleware/auth');
+const { loadDietaryProfile } = require('../middleware/dietaryProfile');
+const {
+  ALLERGENS,
+  annotateDish,
+  parseDietaryProfile,
+  formatDietaryProfile
+} = require('../utils/dietaryConflicts');
+const { DIETARY_TAGS } = require('../config/aiSchemas');
+const { MATCH_PRESETS, DEFAULT_MATCH_PRESET, resolveMatchWeights } = require('../utils/dishMatching');
+const {
+  parsePagination,
+  paginateItems,
+  applyKeysetPage,
+  finishKeysetPage
+} = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -10,6 +25,13 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
+// Sort options of the list endpoints (see utils/pagination)
+const HISTORY_SORTS = { recency: 'created_at' };
+const FAVORITE_SORTS = { recency: 'created_at', price: 'dish.price', rating: 'dish.restaurant.rating' };
+
+// Search history page size when no limit is given
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+
 // ============================================
 // PROFILE ROUTES
 // ============================================
@@ -112,11 +134,16 @@ router.get('/settings', authMiddleware, async (req, res) => {
       notifications_daily_inspiration: false,
       default_search_radius: 5,
       default_min_similarity: 30,
-      language: 'en'
+      language: 'en',
+      match_preset: DEFAULT_MATCH_PRESET,
+      match_weights: null
     };
 
     res.json({
-      settings: settings || defaultSettings
+      settings: settings || defaultSettings,
+      options: {
+        matchPresets: MATCH_PRESETS
+      }
     });
 
   } catch (error) {
@@ -128,6 +155,8 @@ router.get('/settings', authMiddleware, async (req, res) => {
 });
 
 // PUT /api/users/settings - Update user settings
+// match_preset (a MATCH_PRESETS key) and match_weights ({ name, ingredients, description, cuisine },
+// overrides of the preset, or null) set how find-matches ranks dishes
 router.put('/settings', authMiddleware, async (req, res) => {
   try {
     const {
@@ -138,16 +167,33 @@ router.put('/settings', authMiddleware, async (req, res) => {
       notifications_daily_inspiration,
       default_search_radius,
       default_min_similarity,
-      language
+      language,
+      match_preset,
+      match_weights
     } = req.body;
 
     // Check if settings exist
     const { data: existingSettings } = await supabase
       .from('user_settings')
-      .select('id')
+      .select('id, match_preset, match_weights')
       .eq('user_id', req.user.id)
       .single();
 
+    // Validate the preset and weights the settings will have - the stored value
+    // of whichever of the two is not being changed
+    if (match_preset !== undefined || match_weights !== undefined) {
+      const { error: weightsError } = resolveMatchWeights(
+        (match_preset !== undefined ? match_preset : existingSettings?.match_preset) ?? DEFAULT_MATCH_PRESET,
+        match_weights !== undefined ? match_weights : existingSettings?.match_weights
+      );
+
+      if (weightsError) {
+        return res.status(400).json({
+          error: weightsError
+        });
+      }
+    }
+
     let result;
 
     if (existingSettings) {
@@ -162,7 +208,9 @@ router.put('/settings', authMiddleware, async (req, res) => {
           notifications_daily_inspiration,
           default_search_radius,
           default_min_similarity,
-          language
+          language,
+          match_preset,
+          match_weights
         })
         .eq('user_id', req.user.id)
         .select()
@@ -183,7 +231,9 @@ router.put('/settings', authMiddleware, async (req, res) => {
           notifications_daily_inspiration,
           default_search_radius,
           default_min_similarity,
-          language
+          language,
+          match_preset,
+          match_weights
         }])
         .select()
         .single();
@@ -205,28 +255,105 @@ router.put('/settings', authMiddleware, async (req, res) => {
   }
 });
 
+// ============================================
+// DIETARY PROFILE ROUTES
+// ============================================
+
+// GET /api/users/dietary-profile - Get user's allergens, diets and disliked ingredients
+router.get('/dietary-profile', authMiddleware, loadDietaryProfile, async (req, res) => {
+  if (!req.dietaryProfile) {
+    return res.status(500).json({
+      error: 'Failed to fetch dietary profile'
+    });
+  }
+
+  res.json({
+    profile: req.dietaryProfile,
+    options: {
+      allergens: ALLERGENS,
+      diets: DIETARY_TAGS
+    }
+  });
+});
+
+// PUT /api/users/dietary-profile - Replace user's dietary profile
+// Body: { allergens: [...], diets: [...], dislikedIngredients: [...], strictMode: boolean }
+router.put('/dietary-profile', authMiddleware, async (req, res) => {
+  try {
+    const { profile, error: validationError } = parseDietaryProfile(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('dietary_profiles')
+      .upsert({
+        user_id: req.user.id,
+        allergens: profile.allergens,
+        diets: profile.diets,
+        disliked_ingredients: profile.dislikedIngredients,
+        strict_mode: profile.strictMode,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      message: 'Dietary profile updated successfully',
+      profile: formatDietaryProfile(data)
+    });
+
+  } catch (error) {
+    console.error('Update dietary profile error:', error);
+    res.status(500).json({
+      error: 'Failed to update dietary profile'
+    });
+  }
+});
+
 // ============================================
 // SEARCH HISTORY ROUTES
 // ============================================
 
-// GET /api/users/search-history - Get user's search history
+// GET /api/users/search-history - Get user's search history, newest first
+// Query: limit and cursor (next_cursor of the previous page)
 router.get('/search-history', authMiddleware, async (req, res) => {
   try {
-    const { limit = 50 } = req.query;
+    const { pagination, error: paginationError } = parsePagination(req.query, {
+      sorts: HISTORY_SORTS,
+      defaultSort: 'recency',
+      defaultLimit: DEFAULT_HISTORY_PAGE_SIZE
+    });
 
-    const { data: history, error } = await supabase
-      .from('search_history')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false })
-      .limit(parseInt(limit));
+    if (paginationError) {
+      return res.status(400).json({
+        error: paginationError
+      });
+    }
+
+    const { data: history, error } = await applyKeysetPage(
+      supabase
+        .from('search_history')
+        .select('*')
+        .eq('user_id', req.user.id),
+      pagination
+    );
 
     if (error) {
       throw error;
     }
 
+    const page = finishKeysetPage(history, pagination);
+
     // Transform to frontend format
-    const formattedHistory = (history || []).map(item => ({
+    const formattedHistory = page.items.map(item => ({
       id: item.id,
       query: {
         name: item.dish_name,
@@ -235,7 +362,8 @@ router.get('/search-history', authMiddleware, async (req, res) => {
         ingredients: item.dish_ingredients || [],
         estimatedCalories: item.dish_estimated_calories,
         dietaryInfo: item.dish_dietary_info || [],
-        confidence: item.dish_confidence
+        confidence: item.dish_confidence,
+        promptVersion: item.prompt_version
       },
       results: [], // Results aren't stored, just metadata
       resultsCount: item.results_count,
@@ -245,7 +373,8 @@ router.get('/search-history', authMiddleware, async (req, res) => {
 
     res.json({
       history: formattedHistory,
-      count: formattedHistory.length
+      count: formattedHistory.length,
+      next_cursor: page.next_cursor
     });
 
   } catch (error) {
@@ -282,6 +411,8 @@ router.post('/search-history', authMiddleware, async (req, res) => {
         dish_estimated_calories: query.estimatedCalories,
         dish_dietary_info: query.dietaryInfo,
         dish_confidence: query.confidence,
+        // Prompt version that produced the analysis, for comparing prompt versions
+        prompt_version: query.promptVersion || null,
         results_count: resultsCount || 0,
         image_uri: imageUri
       }])
@@ -303,7 +434,8 @@ router.post('/search-history', authMiddleware, async (req, res) => {
           ingredients: entry.dish_ingredients || [],
           estimatedCalories: entry.dish_estimated_calories,
           dietaryInfo: entry.dish_dietary_info || [],
-          confidence: entry.dish_confidence
+          confidence: entry.dish_confidence,
+          promptVersion: entry.prompt_version
         },
         resultsCount: entry.results_count,
         timestamp: entry.created_at,
@@ -381,9 +513,23 @@ router.delete('/search-history', authMiddleware, async (req, res) => {
 // FAVORITES ROUTES
 // ============================================
 
-// GET /api/users/favorites - Get user's favorite dishes
-router.get('/favorites', authMiddleware, async (req, res) => {
+// GET /api/users/favorites - Get user's favorite dishes, a page at a time
+// Each dish carries dietaryWarnings for the user's dietary profile
+// Query: sort (recency, price, rating; default recency), limit and cursor
+router.get('/favorites', authMiddleware, loadDietaryProfile, async (req, res) => {
   try {
+    const { pagination, error: paginationError } = parsePagination(req.query, {
+      sorts: FAVORITE_SORTS,
+      defaultSort: 'recency'
+    });
+
+    if (paginationError) {
+      return res.status(400).json({
+        error: paginationError
+      });
+    }
+
+    // Price and rating live on the joined dish, so a user's favorites are sorted here
     const { data: favorites, error } = await supabase
       .from('favorites')
       .select(`
@@ -395,16 +541,21 @@ router.get('/favorites', authMiddleware, async (req, res) => {
           restaurant:restaurants(*)
         )
       `)
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false });
+      .eq('user_id', req.user.id);
 
     if (error) {
       throw new Error('Failed to fetch favorites');
     }
 
+    const page = paginateItems(favorites, pagination);
+
     res.json({
-      favorites: favorites || [],
-      count: favorites?.length || 0
+      favorites: page.items.map(favorite => ({
+        ...favorite,
+        dish: annotateDish(favorite.dish, req.dietaryProfile)
+      })),
+      count: page.items.length,
+      next_cursor: page.next_cursor
     });
 
   } catch (error) {
@@ -609,6 +760,118 @@ router.post('/favorites/toggle/:dishId', authMiddleware, async (req, res) => {
   }
 });
 
+// ============================================
+// SAVED RECIPES ROUTES
+// ============================================
+
+/**
+ * Transform a saved_recipes row to the frontend format
+ */
+function formatSavedRecipe(row) {
+  return {
+    id: row.id,
+    dishName: row.dish_name,
+    dish: row.dish,
+    recipe: row.recipe,
+    servings: row.servings,
+    dietaryConstraints: row.dietary_constraints || [],
+    savedAt: row.created_at
+  };
+}
+
+// GET /api/users/recipes - Get user's saved recipes (from POST /api/dishes/recipe with save: true)
+router.get('/recipes', authMiddleware, async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const { data: recipes, error } = await supabase
+      .from('saved_recipes')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      recipes: (recipes || []).map(formatSavedRecipe),
+      count: recipes?.length || 0
+    });
+
+  } catch (error) {
+    console.error('Get saved recipes error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved recipes'
+    });
+  }
+});
+
+// GET /api/users/recipes/:id - Get one saved recipe
+router.get('/recipes/:id', authMiddleware, async (req, res) => {
+  try {
+    const { data: recipe, error } = await supabase
+      .from('saved_recipes')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Saved recipe not found'
+      });
+    }
+
+    res.json({
+      recipe: formatSavedRecipe(recipe)
+    });
+
+  } catch (error) {
+    console.error('Get saved recipe error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved recipe'
+    });
+  }
+});
+
+// DELETE /api/users/recipes/:id - Delete a saved recipe
+router.delete('/recipes/:id', authMiddleware, async (req, res) => {
+  try {
+    const { data: deleted, error } = await supabase
+      .from('saved_recipes')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({
+        error: 'Saved recipe not found'
+      });
+    }
+
+    res.json({
+      message: 'Saved recipe deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete saved recipe error:', error);
+    res.status(500).json({
+      error: 'Failed to delete saved recipe'
+    });
+  }
+});
+
 // ============================================
 // ACCOUNT DELETION ROUTES
 // ============================================
@@ -632,6 +895,8 @@ router.delete('/account', authMiddleware, async (req, res) => {
     const deletionResults = {
       favorites: 0,
       searchHistory: 0,
+      savedRecipes: 0,
+      dietaryProfile: 0,
       userSettings: 0,
       apiUsage: 0,
       user: false
@@ -665,7 +930,35 @@ router.delete('/account', authMiddleware, async (req, res) => {
       console.log(`✓ Deleted ${deletionResults.searchHistory} search history items`);
     }
 
-    // 3. Delete user's settings
+    // 3. Delete user's saved recipes
+    const { data: deletedRecipes, error: recipesError } = await supabase
+      .from('saved_recipes')
+      .delete()
+      .eq('user_id', userId)
+      .select('id');
+
+    if (recipesError) {
+      console.error('Error deleting saved recipes:', recipesError);
+    } else {
+      deletionResults.savedRecipes = deletedRecipes?.length || 0;
+      console.log(`✓ Deleted ${deletionResults.savedRecipes} saved recipes`);
+    }
+
+    // 4. Delete user's dietary profile
+    const { data: deletedProfile, error: profileError } = await supabase
+      .from('dietary_profiles')
+      .delete()
+      .eq('user_id', userId)
+      .select('user_id');
+
+    if (profileError) {
+      console.error('Error deleting dietary profile:', profileError);
+    } else {
+      deletionResults.dietaryProfile = deletedProfile?.length || 0;
+      console.log(`✓ Deleted dietary profile`);
+    }
+
+    // 5. Delete user's settings
     const { data: deletedSettings, error: settingsError } = await supabase
       .from('user_settings')
       .delete()
@@ -679,7 +972,7 @@ router.delete('/account', authMiddleware, async (req, res) => {
       console.log(`✓ Deleted user settings`);
     }
 
-    // 4. Delete user's API usage records
+    // 6. Delete user's API usage records
     const { data: deletedUsage, error: usageError } = await supabase
       .from('api_usage')
       .delete()
@@ -693,7 +986,7 @@ router.delete('/account', authMiddleware, async (req, res) => {
       console.log(`✓ Deleted ${deletionResults.apiUsage} API usage records`);
     }
 
-    // 5. Finally, delete the user record itself
+    // 7. Finally, delete the user record itself
     const { data: deletedUser, error: userError } = await supabase
       .from('users')
       .delete()
@@ -723,6 +1016,8 @@ router.delete('/account', authMiddleware, async (req, res) => {
       deletionSummary: {
         favoritesDeleted: deletionResults.favorites,
         searchHistoryDeleted: deletionResults.searchHistory,
+        savedRecipesDeleted: deletionResults.savedRecipes,
+        dietaryProfileDeleted: deletionResults.dietaryProfile > 0,
         settingsDeleted: deletionResults.userSettings > 0,
         apiUsageDeleted: deletionResults.apiUsage,
         accountDeleted: deletionResults.user
@@ -755,6 +1050,12 @@ router.get('/account/data-summary', authMiddleware, async (req, res) => {
       .select('*', { count: 'exact', head: true })
       .eq('user_id', userId);
 
+    // Count saved recipes
+    const { count: recipesCount } = await supabase
+      .from('saved_recipes')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
     // Check if settings exist
     const { data: settings } = await supabase
       .from('user_settings')
@@ -762,6 +1063,13 @@ router.get('/account/data-summary', authMiddleware, async (req, res) => {
       .eq('user_id', userId)
       .single();
 
+    // Check if a dietary profile exists
+    const { data: dietaryProfile } = await supabase
+      .from('dietary_profiles')
+      .select('user_id')
+      .eq('user_id', userId)
+      .maybeSingle();
+
     // Count API usage
     const { count: usageCount } = await supabase
       .from('api_usage')
@@ -772,7 +1080,9 @@ router.get('/account/data-summary', authMiddleware, async (req, res) => {
       dataSummary: {
         favorites: favoritesCount || 0,
         searchHistory: historyCount || 0,
+        savedRecipes: recipesCount || 0,
         hasSettings: !!settings,
+        hasDietaryProfile: !!dietaryProfile,
         apiUsageRecords: usageCount || 0,
         accountCreated: req.user.created_at
       }
@@ -0,0 +1,74 @@
+// scripts/embedDishes.js
+// Compute embeddings for restaurant dishes that have none yet, or whose
+// embedding is stale (another model, or the dish text changed).
+//
+// Usage:
+//   node scripts/embedDishes.js [--all] [--page-size 500]
+//
+// --all recomputes every dish. The provider comes from EMBEDDING_PROVIDER (.env).
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+
+const { getEmbeddingProvider } = require('../config/embeddingProviders');
+const { embedDishes, getDishEmbeddings } = require('../utils/dishEmbeddings');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * Parse --flag value / --flag arguments
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const pageSize = parseInt(args['page-size']) || 500;
+  const provider = getEmbeddingProvider();
+
+  console.log(`🧭 Embedding ${args.all ? 'all' : 'missing or stale'} dishes with ${provider.name} (${provider.model})`);
+
+  let processed = 0;
+  for (let from = 0; ; from += pageSize) {
+    const { data: dishes, error } = await supabase
+      .from('restaurant_dishes')
+      .select('id, name, description, ingredients')
+      .order('id')
+      .range(from, from + pageSize - 1);
+
+    if (error) {
+      throw new Error('Failed to fetch dishes');
+    }
+
+    // getDishEmbeddings only computes what is missing or stale
+    const embeddings = args.all
+      ? await embedDishes(dishes)
+      : await getDishEmbeddings(dishes, { waitForMissing: true });
+    processed += dishes.length;
+    console.log(`  ${processed} dishes checked (${embeddings.size} of this page have a current embedding)`);
+
+    if (dishes.length < pageSize) break;
+  }
+
+  console.log(`✅ Done - ${processed} dishes`);
+}
+
+main().catch(error => {
+  console.error('❌ Dish embedding failed:', error.message);
+  process.exit(1);
+});
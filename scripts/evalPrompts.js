@@ -0,0 +1,216 @@
+// scripts/evalPrompts.js
+// Replay a labeled set of descriptions/images through the AI provider with two or
+// more prompt versions and report accuracy on name, cuisine and dietary tags.
+//
+// Usage:
+//   node scripts/evalPrompts.js [--versions 3,4] [--set path/to/set.json]
+//                               [--language en] [--verbose] [--json]
+//
+// The provider comes from AI_PROVIDER (.env) - use AI_PROVIDER=mock for a dry run.
+// Calls are recorded in the AI ledger with the endpoint "eval:prompts".
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const { analyzeFoodImage, analyzeFoodDescription } = require('../config/aiService');
+const { getProvider } = require('../config/aiProviders');
+const { PROMPT_VERSIONS, getPromptConfig } = require('../config/prompts');
+const { DEFAULT_LANGUAGE, normalizeLanguage } = require('../config/languages');
+const { preprocessImage } = require('../middleware/imagePreprocess');
+const { normalizeDishName } = require('../utils/menuImport');
+
+const DEFAULT_SET_PATH = path.join(__dirname, 'fixtures', 'prompt-eval-set.json');
+
+/**
+ * Parse --flag value / --flag arguments
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Versions to compare: --versions, or the active version plus the A/B candidate
+ * Fails unless there are at least two distinct versions to compare
+ */
+function getVersionsToEvaluate(versionsArg) {
+  const { active, candidate } = getPromptConfig();
+  const versions = versionsArg
+    ? [...new Set(String(versionsArg).split(',').map(version => version.trim()).filter(Boolean))]
+    : [active, candidate].filter(Boolean);
+
+  const unknown = versions.filter(version => !PROMPT_VERSIONS[version]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown prompt version(s): ${unknown.join(', ')} (registered: ${Object.keys(PROMPT_VERSIONS).join(', ')})`);
+  }
+  if (versions.length < 2) {
+    throw new Error(`Nothing to compare with version ${versions[0] || active} - pass --versions with two or more versions (registered: ${Object.keys(PROMPT_VERSIONS).join(', ')}) or set PROMPT_CANDIDATE_VERSION`);
+  }
+  return versions;
+}
+
+/**
+ * Load the labeled set; image paths are resolved relative to the set file
+ */
+function loadEvalSet(setPath) {
+  const set = JSON.parse(fs.readFileSync(setPath, 'utf8'));
+  return set.cases.map(testCase => ({
+    ...testCase,
+    image: testCase.image ? path.resolve(path.dirname(setPath), testCase.image) : undefined
+  }));
+}
+
+/**
+ * Run one case through the provider, preparing images the same way uploads are
+ */
+async function analyzeCase(testCase, options) {
+  if (testCase.image) {
+    const { buffer, mimeType } = await preprocessImage(fs.readFileSync(testCase.image));
+    return analyzeFoodImage(buffer.toString('base64'), mimeType, options);
+  }
+  return analyzeFoodDescription(testCase.description, options);
+}
+
+/**
+ * Compare an analysis to its labels
+ */
+function scoreCase(analysis, expected) {
+  const acceptedNames = [expected.name, ...(expected.aliases || [])].map(normalizeDishName);
+  const predictedTags = new Set(analysis.dietaryInfo);
+  const expectedTags = new Set(expected.dietaryInfo || []);
+  const truePositives = [...predictedTags].filter(tag => expectedTags.has(tag)).length;
+
+  return {
+    nameCorrect: acceptedNames.includes(normalizeDishName(analysis.canonicalName || analysis.name)),
+    cuisineCorrect: (analysis.canonicalCuisine || analysis.cuisine || '').trim().toLowerCase() === (expected.cuisine || '').trim().toLowerCase(),
+    dietaryExact: truePositives === predictedTags.size && truePositives === expectedTags.size,
+    truePositives,
+    predictedTags: predictedTags.size,
+    expectedTags: expectedTags.size
+  };
+}
+
+/**
+ * Aggregate case scores into accuracy figures
+ */
+function summarizeScores(results) {
+  const scored = results.filter(result => result.score);
+  const count = scored.length;
+  const sum = (getValue) => scored.reduce((total, result) => total + getValue(result), 0);
+  const ratio = (numerator, denominator) => (denominator > 0 ? Math.round(numerator / denominator * 1000) / 1000 : null);
+
+  const truePositives = sum(result => result.score.truePositives);
+  const precision = ratio(truePositives, sum(result => result.score.predictedTags));
+  const recall = ratio(truePositives, sum(result => result.score.expectedTags));
+
+  return {
+    cases: results.length,
+    errors: results.length - count,
+    nameAccuracy: ratio(sum(result => (result.score.nameCorrect ? 1 : 0)), count),
+    cuisineAccuracy: ratio(sum(result => (result.score.cuisineCorrect ? 1 : 0)), count),
+    dietaryExactMatch: ratio(sum(result => (result.score.dietaryExact ? 1 : 0)), count),
+    dietaryPrecision: precision,
+    dietaryRecall: recall,
+    dietaryF1: precision && recall ? Math.round(2 * precision * recall / (precision + recall) * 1000) / 1000 : null,
+    avgConfidence: count > 0 ? Math.round(sum(result => result.analysis.confidence) / count * 10) / 10 : null,
+    avgLatencyMs: count > 0 ? Math.round(sum(result => result.latencyMs) / count) : null
+  };
+}
+
+/**
+ * Evaluate every case with one prompt version (sequentially, to stay within provider rate limits)
+ */
+async function evaluateVersion(promptVersion, cases, { language, verbose }) {
+  const results = [];
+
+  for (const testCase of cases) {
+    const startedAt = Date.now();
+    try {
+      const analysis = await analyzeCase(testCase, {
+        promptVersion,
+        language,
+        callContext: { endpoint: 'eval:prompts' }
+      });
+      const score = scoreCase(analysis, testCase.expected);
+      results.push({ id: testCase.id, analysis, score, latencyMs: Date.now() - startedAt });
+
+      if (verbose) {
+        const marks = [score.nameCorrect, score.cuisineCorrect, score.dietaryExact].map(ok => (ok ? '✓' : '✗')).join(' ');
+        console.log(`  [v${promptVersion}] ${marks}  ${testCase.id}: ${analysis.canonicalName || analysis.name} (${analysis.canonicalCuisine || analysis.cuisine}) [${analysis.dietaryInfo.join(', ')}]`);
+      }
+    } catch (error) {
+      results.push({ id: testCase.id, error: error.message, latencyMs: Date.now() - startedAt });
+      if (verbose) {
+        console.log(`  [v${promptVersion}] ERROR ${testCase.id}: ${error.message}`);
+      }
+    }
+  }
+
+  return { summary: summarizeScores(results), results };
+}
+
+/**
+ * Print a side-by-side table of version summaries
+ */
+function printComparison(report) {
+  const versions = Object.keys(report);
+  const rows = [
+    ['Cases', 'cases'],
+    ['Errors', 'errors'],
+    ['Name accuracy', 'nameAccuracy'],
+    ['Cuisine accuracy', 'cuisineAccuracy'],
+    ['Dietary exact match', 'dietaryExactMatch'],
+    ['Dietary precision', 'dietaryPrecision'],
+    ['Dietary recall', 'dietaryRecall'],
+    ['Dietary F1', 'dietaryF1'],
+    ['Avg confidence', 'avgConfidence'],
+    ['Avg latency (ms)', 'avgLatencyMs']
+  ];
+
+  console.log(`\n${'Metric'.padEnd(22)}${versions.map(version => `v${version}`.padStart(10)).join('')}`);
+  rows.forEach(([label, key]) => {
+    const values = versions.map(version => {
+      const value = report[version].summary[key];
+      return String(value === null ? '-' : value).padStart(10);
+    });
+    console.log(`${label.padEnd(22)}${values.join('')}`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const versions = getVersionsToEvaluate(args.versions);
+  const cases = loadEvalSet(args.set ? path.resolve(args.set) : DEFAULT_SET_PATH);
+  const language = args.language ? normalizeLanguage(args.language) : DEFAULT_LANGUAGE;
+
+  if (!args.json) {
+    console.log(`🧪 Evaluating prompt versions ${versions.join(', ')} on ${cases.length} cases with the ${getProvider().name} provider`);
+  }
+
+  const report = {};
+  for (const version of versions) {
+    report[version] = await evaluateVersion(version, cases, { language, verbose: args.verbose && !args.json });
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printComparison(report);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Prompt evaluation failed:', error.message);
+  process.exit(1);
+});
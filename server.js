@@ -8,6 +8,9 @@ const dishRoutes = require('./routes/dishes');
 const restaurantRoutes = require('./routes/restaurants');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
+const { circuitBreaker } = require('./config/aiResilience');
+const { startAnalysisJobWorker } = require('./utils/analysisJobs');
+const { ensureDishIndex } = require('./utils/dishRanker');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -36,12 +39,19 @@ app.get('/api/health', (req, res) => {
     limits: {
       free: {
         daily_scans: parseInt(process.env.FREE_DAILY_SCANS) || 5,
-        daily_text: parseInt(process.env.FREE_DAILY_TEXT) || 10
+        daily_text: parseInt(process.env.FREE_DAILY_TEXT) || 10,
+        daily_nutrition: parseInt(process.env.FREE_DAILY_NUTRITION) || 10,
+        daily_recipes: parseInt(process.env.FREE_DAILY_RECIPES) || 3
       },
       premium: {
         daily_scans: parseInt(process.env.PREMIUM_DAILY_SCANS) || 50,
-        daily_text: parseInt(process.env.PREMIUM_DAILY_TEXT) || 100
+        daily_text: parseInt(process.env.PREMIUM_DAILY_TEXT) || 100,
+        daily_nutrition: parseInt(process.env.PREMIUM_DAILY_NUTRITION) || 100,
+        daily_recipes: parseInt(process.env.PREMIUM_DAILY_RECIPES) || 30
       }
+    },
+    ai: {
+      circuitBreaker: circuitBreaker.getState().state
     }
   });
 });
@@ -54,4 +64,6 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`🚀 WittyFood2 Backend running on port ${PORT}`);
+  startAnalysisJobWorker();
+  ensureDishIndex();
 });
\ No newline at end of file
@@ -0,0 +1,111 @@
+// utils/aiLedger.js
+// Per-call token and cost accounting for AI requests
+const { createClient } = require('@supabase/supabase-js');
+const { getUserTier } = require('../middleware/rateLimit');
+
+let supabase = null;
+
+/**
+ * Supabase client, created on the first ledger write
+ * @returns {Object|null} null without SUPABASE_URL - scripts that only call the AI
+ *   (e.g. scripts/evalPrompts.js) run without a database and record nothing
+ */
+function getSupabase() {
+  if (!supabase && process.env.SUPABASE_URL) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+  return supabase;
+}
+
+// USD per million tokens, matched by model name prefix (most specific first)
+const MODEL_PRICING = [
+  { prefix: 'claude-opus-4', input: 15, output: 75 },
+  { prefix: 'claude-sonnet-4', input: 3, output: 15 },
+  { prefix: 'claude-3-7-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-3-5-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-3-5-haiku', input: 0.8, output: 4 },
+  { prefix: 'claude-3-haiku', input: 0.25, output: 1.25 },
+  { prefix: 'mock', input: 0, output: 0 }
+];
+
+/**
+ * Estimate the cost of a call in USD
+ * @returns {number|null} Cost, or null if the model has no known pricing
+ */
+function estimateCost(model, inputTokens, outputTokens) {
+  const pricing = MODEL_PRICING.find(entry => (model || '').startsWith(entry.prefix));
+  if (!pricing) {
+    return null;
+  }
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+}
+
+/**
+ * Build the attribution context for AI calls made while handling a request
+ * Pass the result to aiService functions as options.callContext
+ */
+function getAICallContext(req) {
+  return {
+    userId: req.user?.id || null,
+    tier: req.user ? getUserTier(req.user) : null,
+    endpoint: `${req.method} ${req.baseUrl}${req.route ? req.route.path : ''}`
+  };
+}
+
+/**
+ * Record one AI provider call in the ledger
+ * Failures are logged and never affect the request
+ * @param {Object} entry
+ * @param {Object} [entry.callContext] - From getAICallContext (omitted for background calls)
+ * @param {string} entry.task - aiService task (e.g. 'analyzeImage')
+ * @param {string} entry.provider - Provider name
+ * @param {string} entry.model - Model reported by the provider
+ * @param {Object} [entry.usage] - { inputTokens, outputTokens }
+ * @param {string} [entry.promptVersion] - Prompt template version of the request
+ * @param {number} entry.latencyMs - Wall-clock duration of the call
+ * @param {boolean} entry.success - Whether the provider returned a response
+ */
+async function recordAICall({ callContext = {}, task, provider, model, usage, promptVersion, latencyMs, success }) {
+  const client = getSupabase();
+  if (!client) {
+    return;
+  }
+
+  try {
+    const inputTokens = usage?.inputTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+
+    const { error } = await client
+      .from('ai_call_ledger')
+      .insert({
+        user_id: callContext.userId || null,
+        subscription_tier: callContext.tier || null,
+        endpoint: callContext.endpoint || null,
+        task,
+        provider,
+        model: model || null,
+        prompt_version: promptVersion || null,
+        input_tokens: inputTokens,
+        output_tokens: outputTokens,
+        latency_ms: Math.round(latencyMs),
+        estimated_cost_usd: estimateCost(model, inputTokens, outputTokens),
+        success
+      });
+
+    if (error) {
+      console.error('Error recording AI call:', error);
+    }
+  } catch (error) {
+    console.error('AI ledger error:', error);
+  }
+}
+
+module.exports = {
+  MODEL_PRICING,
+  estimateCost,
+  getAICallContext,
+  recordAICall
+};
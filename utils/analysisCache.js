@@ -0,0 +1,150 @@
+// utils/analysisCache.js
+// Content-hash cache for AI image and text analyses
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { getProvider } = require('../config/aiProviders');
+const { DEFAULT_LANGUAGE } = require('../config/languages');
+const { ACTIVE_PROMPT_VERSION } = require('../config/prompts');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const CACHE_TTL_HOURS = parseInt(process.env.ANALYSIS_CACHE_TTL_HOURS) || 72;
+
+/**
+ * Normalize description text so trivial differences share a cache entry
+ */
+function normalizeDescription(description) {
+  return description.toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Build a cache key from the analysis kind, variant, response language, prompt version and content
+ * Includes the provider so switching providers invalidates old entries
+ */
+function buildCacheKey(kind, variant, { language = DEFAULT_LANGUAGE, promptVersion = ACTIVE_PROMPT_VERSION }, content) {
+  return crypto
+    .createHash('sha256')
+    .update(`${kind}:${variant}:${language}:${getProvider().name}:${promptVersion}:`)
+    .update(content)
+    .digest('hex');
+}
+
+/**
+ * Cache key for an uploaded image (hash of the raw bytes)
+ * @param {Buffer} imageBuffer
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'single' dish analysis or 'multi' dish detection
+ * @param {string} [options.language] - Language the analysis is written in
+ * @param {string} [options.promptVersion] - Prompt version the analysis is made with
+ */
+function getImageCacheKey(imageBuffer, { mode = 'single', ...options } = {}) {
+  return buildCacheKey('image', mode, options, imageBuffer);
+}
+
+/**
+ * Cache key for a text description (hash of the normalized text)
+ * @param {string} description
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language the analysis is written in
+ * @param {string} [options.promptVersion] - Prompt version the analysis is made with
+ */
+function getTextCacheKey(description, options = {}) {
+  return buildCacheKey('text', 'single', options, normalizeDescription(description));
+}
+
+/**
+ * Get a cached analysis, or null on miss/expiry
+ * Cache failures are logged and treated as a miss
+ */
+async function getCachedAnalysis(cacheKey) {
+  try {
+    const { data, error } = await supabase
+      .from('ai_analysis_cache')
+      .select('result')
+      .eq('cache_key', cacheKey)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error reading analysis cache:', error);
+      return null;
+    }
+
+    return data ? data.result : null;
+  } catch (error) {
+    console.error('Analysis cache read error:', error);
+    return null;
+  }
+}
+
+/**
+ * Store an analysis result in the cache
+ * @param {string} cacheKey
+ * @param {string} kind - 'image' or 'text'
+ * @param {Object} result - Analysis returned by aiService
+ * @param {string} [promptVersion] - Prompt version the analysis was made with
+ */
+async function setCachedAnalysis(cacheKey, kind, result, promptVersion = ACTIVE_PROMPT_VERSION) {
+  try {
+    const expiresAt = new Date(Date.now() + CACHE_TTL_HOURS * 60 * 60 * 1000);
+
+    const { error } = await supabase
+      .from('ai_analysis_cache')
+      .upsert({
+        cache_key: cacheKey,
+        kind,
+        prompt_version: promptVersion,
+        result,
+        created_at: new Date().toISOString(),
+        expires_at: expiresAt.toISOString()
+      }, { onConflict: 'cache_key' });
+
+    if (error) {
+      console.error('Error writing analysis cache:', error);
+    }
+  } catch (error) {
+    console.error('Analysis cache write error:', error);
+  }
+}
+
+/**
+ * Delete cache entries
+ * @param {Object} options
+ * @param {string} [options.kind] - Only purge 'image' or 'text' entries
+ * @param {boolean} [options.expiredOnly] - Only purge entries past their TTL
+ * @returns {number} Number of entries deleted
+ */
+async function purgeAnalysisCache({ kind, expiredOnly = false } = {}) {
+  let query = supabase
+    .from('ai_analysis_cache')
+    .delete()
+    .neq('cache_key', '');
+
+  if (kind) {
+    query = query.eq('kind', kind);
+  }
+
+  if (expiredOnly) {
+    query = query.lte('expires_at', new Date().toISOString());
+  }
+
+  const { data, error } = await query.select('cache_key');
+
+  if (error) {
+    throw error;
+  }
+
+  return data?.length || 0;
+}
+
+module.exports = {
+  getImageCacheKey,
+  getTextCacheKey,
+  getCachedAnalysis,
+  setCachedAnalysis,
+  purgeAnalysisCache,
+  CACHE_TTL_HOURS
+};
@@ -0,0 +1,539 @@
+// utils/analysisJobs.js
+// Asynchronous dish analysis jobs: an in-process queue backed by the analysis_jobs table
+//
+// Jobs are stored before they are queued, so jobs that were queued or running when
+// the server stopped are picked up again by startAnalysisJobWorker() on the next start.
+// The queue lives in this process - run a single backend instance when using jobs.
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createClient } = require('@supabase/supabase-js');
+const { analyzeFoodImage, analyzeFoodDescription } = require('../config/aiService');
+const { describeAIError } = require('../config/aiErrors');
+const { resolvePromptVersion } = require('../config/prompts');
+const { incrementUsage, hasRemainingQuota } = require('../middleware/rateLimit');
+const {
+  getImageCacheKey,
+  getTextCacheKey,
+  getCachedAnalysis,
+  setCachedAnalysis
+} = require('./analysisCache');
+const { needsClarification, startClarificationSession } = require('./clarification');
+const { annotateDish } = require('./dietaryConflicts');
+const { getDietaryProfile } = require('../middleware/dietaryProfile');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Jobs analyzed at once, and how long finished jobs are kept
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const JOB_RETENTION_HOURS = parseInt(process.env.JOB_RETENTION_HOURS) || 24;
+
+// Completion callbacks: per-attempt timeout, attempts, and optional signing secret
+const JOB_CALLBACK_TIMEOUT_MS = parseInt(process.env.JOB_CALLBACK_TIMEOUT_MS) || 5000;
+const JOB_CALLBACK_MAX_ATTEMPTS = parseInt(process.env.JOB_CALLBACK_MAX_ATTEMPTS) || 3;
+const JOB_CALLBACK_SECRET = process.env.JOB_CALLBACK_SECRET;
+// Callbacks to loopback/private addresses are refused unless enabled (local development)
+const JOB_CALLBACK_ALLOW_PRIVATE = process.env.JOB_CALLBACK_ALLOW_PRIVATE === 'true';
+
+const JOB_KINDS = ['image', 'text'];
+
+const queue = [];
+const scheduled = new Set();
+let activeJobs = 0;
+
+// IPv4 ranges callbacks must not reach: "this" network, private, CGNAT, loopback,
+// link-local (cloud metadata), IETF protocol assignments, benchmarking, multicast and reserved
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const ipv4ToNumber = (address) => address.split('.').reduce((value, octet) => value * 256 + parseInt(octet), 0);
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ */
+function isBlockedAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToNumber(address);
+    return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+      const size = Math.pow(2, 32 - bits);
+      return Math.floor(value / size) === Math.floor(ipv4ToNumber(base) / size);
+    });
+  }
+
+  const lower = address.toLowerCase();
+
+  // IPv4-mapped addresses (::ffff:10.0.0.1) are checked as IPv4
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isBlockedAddress(mapped[1]);
+  }
+
+  return lower === '::' ||
+    lower === '::1' ||
+    lower.startsWith('::ffff:') ||  // mapped, in hex form
+    /^f[cd]/.test(lower) ||         // unique local fc00::/7
+    /^fe[89ab]/.test(lower) ||      // link-local fe80::/10
+    lower.startsWith('64:ff9b:') || // NAT64 64:ff9b::/96 (embeds an IPv4 address)
+    lower.startsWith('2002:') ||    // 6to4 2002::/16 (embeds an IPv4 address)
+    lower.startsWith('ff');         // multicast
+}
+
+/**
+ * Resolve a callback host and check that every address it points to is public
+ * @returns {Promise<{ address: Object|null, error: string|null }>} The address to
+ *   connect to ({ address, family }; null when private callbacks are allowed), or an error message
+ */
+async function resolveCallbackHost(hostname) {
+  if (JOB_CALLBACK_ALLOW_PRIVATE) return { address: null, error: null };
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return { address: null, error: 'callbackUrl host could not be resolved' };
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { address: null, error: 'callbackUrl must point to a public address' };
+  }
+
+  return { address: addresses[0], error: null };
+}
+
+/**
+ * POST a callback body, connecting to the address checked by resolveCallbackHost
+ * The host is not resolved again, so it cannot be rebound to an internal address
+ * in between; TLS and the Host header still use the URL's hostname. Redirects
+ * are not followed.
+ * @param {Object|null} address - { address, family }, or null to resolve the host normally
+ * @returns {Promise<number>} Response status
+ */
+function postCallback(callbackUrl, { headers, body }, address) {
+  const url = new URL(callbackUrl);
+  const client = url.protocol === 'https:' ? https : http;
+  const lookup = address
+    ? (hostname, options, callback) => (options.all
+      ? callback(null, [address])
+      : callback(null, address.address, address.family))
+    : undefined;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      agent: false,
+      lookup,
+      signal: AbortSignal.timeout(JOB_CALLBACK_TIMEOUT_MS)
+    }, (response) => {
+      response.on('error', reject);
+      response.on('end', () => resolve(response.statusCode));
+      response.resume();
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Check a callback URL supplied by a client
+ * The host is resolved: loopback, private and link-local addresses are refused
+ * @returns {Promise<string|null>} Error message, or null if the URL can be used
+ */
+async function validateCallbackUrl(callbackUrl) {
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (error) {
+    return 'callbackUrl must be an absolute URL';
+  }
+
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && process.env.NODE_ENV !== 'production')) {
+    return 'callbackUrl must use https';
+  }
+
+  if (url.username || url.password) {
+    return 'callbackUrl must not contain credentials';
+  }
+
+  const { error } = await resolveCallbackHost(url.hostname);
+  return error;
+}
+
+/**
+ * Public representation of a job (API responses and callback payloads)
+ * @param {Object} [dietaryProfile] - Adds dietaryWarnings to the result's dish
+ */
+function formatJob(job, dietaryProfile) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    result: job.result ? { ...job.result, dish: annotateDish(job.result.dish, dietaryProfile) } : undefined,
+    error: job.error || undefined,
+    callback: job.callback_url ? {
+      url: job.callback_url,
+      status: job.callback_status,
+      attempts: job.callback_attempts
+    } : undefined,
+    createdAt: job.created_at,
+    startedAt: job.started_at || undefined,
+    completedAt: job.completed_at || undefined
+  };
+}
+
+/**
+ * Store a new job and queue it
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.kind - 'image' or 'text'
+ * @param {Object} params.source - { base64Image, mimeType } (preprocessed) or { description }
+ * @param {Object} params.options - aiService options from getAIOptions(req)
+ * @param {string} [params.callbackUrl] - Notified with the job when it finishes
+ * @returns {Promise<Object>} The stored job row
+ */
+async function createAnalysisJob({ userId, kind, source, options, callbackUrl }) {
+  if (!JOB_KINDS.includes(kind)) {
+    throw new Error(`Unknown job kind: ${kind}`);
+  }
+
+  // Finished jobs are only kept for polling - clear this user's old ones on the way
+  const cutoff = new Date(Date.now() - JOB_RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+  await supabase
+    .from('analysis_jobs')
+    .delete()
+    .eq('user_id', userId)
+    .in('status', ['completed', 'failed'])
+    .lt('created_at', cutoff);
+
+  const { data: job, error } = await supabase
+    .from('analysis_jobs')
+    .insert({
+      user_id: userId,
+      kind,
+      status: 'queued',
+      source,
+      language: options.language,
+      prompt_version: options.promptVersion,
+      call_context: options.callContext,
+      callback_url: callbackUrl || null,
+      callback_status: callbackUrl ? 'pending' : null,
+      callback_attempts: 0
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error('Failed to create analysis job');
+  }
+
+  scheduleJob(job.id);
+  return job;
+}
+
+/**
+ * Get a user's job, or null if it does not exist
+ */
+async function getAnalysisJob(jobId, userId) {
+  const { data, error } = await supabase
+    .from('analysis_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Failed to fetch analysis job');
+  }
+
+  return data;
+}
+
+/**
+ * A job whose user has no quota left when it is about to run
+ */
+class QuotaExceededError extends Error {
+  constructor(kind) {
+    super(`Daily ${kind === 'image' ? 'scan' : 'text analysis'} limit reached before the job could run`);
+    this.name = 'QuotaExceededError';
+  }
+}
+
+/**
+ * Add a job id to the in-process queue (once)
+ */
+function scheduleJob(jobId) {
+  if (scheduled.has(jobId)) return;
+  scheduled.add(jobId);
+  queue.push(jobId);
+  drainQueue();
+}
+
+/**
+ * Start queued jobs while there is capacity
+ */
+function drainQueue() {
+  while (activeJobs < JOB_CONCURRENCY && queue.length > 0) {
+    const jobId = queue.shift();
+    activeJobs++;
+
+    processJob(jobId)
+      .catch(error => console.error(`Analysis job ${jobId} error:`, error))
+      .finally(() => {
+        activeJobs--;
+        scheduled.delete(jobId);
+        drainQueue();
+      });
+  }
+}
+
+/**
+ * Analyze a job's input the same way the synchronous endpoints do
+ * (cache first, clarification questions for low-confidence results)
+ * @returns {Promise<{ result: Object, charged: boolean }>}
+ */
+async function runAnalysis(job) {
+  const options = {
+    callContext: job.call_context,
+    language: job.language,
+    promptVersion: resolvePromptVersion(job.prompt_version)
+  };
+  const { source } = job;
+
+  const cacheKey = job.kind === 'image'
+    ? getImageCacheKey(Buffer.from(source.base64Image, 'base64'), options)
+    : getTextCacheKey(source.description, options);
+  let dish = await getCachedAnalysis(cacheKey);
+  const cached = !!dish;
+
+  if (!cached) {
+    dish = job.kind === 'image'
+      ? await analyzeFoodImage(source.base64Image, source.mimeType, options)
+      : await analyzeFoodDescription(source.description, options);
+    await setCachedAnalysis(cacheKey, job.kind, dish, options.promptVersion);
+  }
+
+  const clarification = needsClarification(dish)
+    ? await startClarificationSession({
+      userId: job.user_id,
+      kind: job.kind,
+      analysis: dish,
+      source,
+      callContext: job.call_context
+    })
+    : null;
+
+  return {
+    result: { dish, clarification: clarification || undefined, cached },
+    // A clarification session costs one unit even when the analysis was cached
+    charged: !cached || !!clarification
+  };
+}
+
+/**
+ * Run one job: claim it, analyze, record usage, store the outcome and notify
+ */
+async function processJob(jobId) {
+  // Claim the job so it is not analyzed twice
+  const { data: claimed, error: claimError } = await supabase
+    .from('analysis_jobs')
+    .update({ status: 'running', started_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('status', 'queued')
+    .select();
+
+  if (claimError) {
+    throw new Error('Failed to claim analysis job');
+  }
+  if (claimed.length === 0) {
+    return;
+  }
+
+  const job = claimed[0];
+  let outcome;
+
+  try {
+    // The quota was checked when the job was queued, but may be used up by now
+    if (!await hasRemainingQuota(job.user_id, job.kind)) {
+      throw new QuotaExceededError(job.kind);
+    }
+
+    const { result, charged } = await runAnalysis(job);
+    if (charged) {
+      await incrementUsage(job.user_id, job.kind);
+    }
+    outcome = { status: 'completed', result, charged };
+  } catch (error) {
+    console.error(`Analysis job ${jobId} failed:`, error);
+    const described = error instanceof QuotaExceededError
+      ? { body: { error: error.message } }
+      : describeAIError(error);
+    outcome = {
+      status: 'failed',
+      error: described
+        ? described.body
+        : { error: `Failed to analyze ${job.kind === 'image' ? 'image' : 'description'}`, details: error.message },
+      charged: false
+    };
+  }
+
+  // The input is only needed until the job has run
+  const { data: finished, error: updateError } = await supabase
+    .from('analysis_jobs')
+    .update({ ...outcome, source: null, completed_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw new Error('Failed to store analysis job result');
+  }
+
+  if (finished.callback_url) {
+    await deliverCallback(finished);
+  }
+}
+
+/**
+ * POST the finished job to its callback URL, retrying with backoff
+ * With JOB_CALLBACK_SECRET set, the body is signed in X-WittyFood-Signature
+ * (sha256 HMAC of the raw body, hex) so receivers can verify the sender.
+ */
+async function deliverCallback(job) {
+  let dietaryProfile = null;
+  try {
+    dietaryProfile = await getDietaryProfile(job.user_id);
+  } catch (error) {
+    console.error('Error loading dietary profile for job callback:', error);
+  }
+
+  const body = JSON.stringify({ event: `analysis_job.${job.status}`, job: formatJob(job, dietaryProfile) });
+  const headers = { 'Content-Type': 'application/json' };
+  if (JOB_CALLBACK_SECRET) {
+    headers['X-WittyFood-Signature'] = `sha256=${crypto.createHmac('sha256', JOB_CALLBACK_SECRET).update(body).digest('hex')}`;
+  }
+
+  let attempts = job.callback_attempts || 0;
+  let delivered = false;
+
+  while (!delivered && attempts < JOB_CALLBACK_MAX_ATTEMPTS) {
+    if (attempts > 0) {
+      await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempts - 1)));
+    }
+    attempts++;
+
+    try {
+      // Checked again on every attempt - the host may resolve elsewhere by now
+      const { address, error: hostError } = await resolveCallbackHost(new URL(job.callback_url).hostname);
+      if (hostError) {
+        console.error(`Job ${job.id} callback refused: ${hostError}`);
+        break;
+      }
+
+      const status = await postCallback(job.callback_url, { headers, body }, address);
+      delivered = status >= 200 && status < 300;
+      if (!delivered) {
+        console.error(`Job ${job.id} callback returned ${status}`);
+      }
+    } catch (error) {
+      console.error(`Job ${job.id} callback error:`, error.message);
+    }
+  }
+
+  const { error } = await supabase
+    .from('analysis_jobs')
+    .update({
+      callback_status: delivered ? 'delivered' : 'failed',
+      callback_attempts: attempts
+    })
+    .eq('id', job.id);
+
+  if (error) {
+    console.error('Error updating job callback status:', error);
+  }
+}
+
+/**
+ * Resume work left over from the previous run (call once on startup)
+ * Jobs that were running when the server stopped are queued again, and
+ * callbacks that were never delivered are retried.
+ */
+async function startAnalysisJobWorker() {
+  try {
+    const { error: resetError } = await supabase
+      .from('analysis_jobs')
+      .update({ status: 'queued', started_at: null })
+      .eq('status', 'running');
+
+    if (resetError) {
+      console.error('Error requeuing interrupted jobs:', resetError);
+    }
+
+    const { data: pending, error } = await supabase
+      .from('analysis_jobs')
+      .select('id')
+      .eq('status', 'queued')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error loading queued jobs:', error);
+    } else {
+      pending.forEach(job => scheduleJob(job.id));
+      if (pending.length > 0) {
+        console.log(`📋 Resumed ${pending.length} queued analysis job(s)`);
+      }
+    }
+
+    const { data: undelivered, error: callbackError } = await supabase
+      .from('analysis_jobs')
+      .select('*')
+      .in('status', ['completed', 'failed'])
+      .eq('callback_status', 'pending');
+
+    if (callbackError) {
+      console.error('Error loading pending job callbacks:', callbackError);
+    } else {
+      undelivered.forEach(job => deliverCallback(job));
+    }
+  } catch (error) {
+    console.error('Analysis job worker start error:', error);
+  }
+}
+
+/**
+ * Queue state of this process (admin health)
+ */
+function getJobQueueState() {
+  return {
+    queued: queue.length,
+    running: activeJobs,
+    concurrency: JOB_CONCURRENCY
+  };
+}
+
+module.exports = {
+  JOB_KINDS,
+  validateCallbackUrl,
+  formatJob,
+  createAnalysisJob,
+  getAnalysisJob,
+  startAnalysisJobWorker,
+  getJobQueueState
+};
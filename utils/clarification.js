@@ -0,0 +1,175 @@
+// utils/clarification.js
+// Clarification sessions for low-confidence dish analyses
+const { createClient } = require('@supabase/supabase-js');
+const { generateClarificationQuestions } = require('../config/aiService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Analyses below this confidence (0-100) get disambiguation questions
+const CLARIFICATION_CONFIDENCE_THRESHOLD = parseFloat(process.env.CLARIFICATION_CONFIDENCE_THRESHOLD) || 60;
+const CLARIFICATION_SESSION_TTL_MINUTES = parseInt(process.env.CLARIFICATION_SESSION_TTL_MINUTES) || 30;
+
+/**
+ * Whether an analysis is uncertain enough to ask the diner
+ */
+function needsClarification(analysis) {
+  return !!analysis && analysis.confidence < CLARIFICATION_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Drop the stored input (images) of every expired session - the input is only
+ * needed until a session is answered or expires
+ */
+async function clearExpiredClarificationSources() {
+  const { error } = await supabase
+    .from('clarification_sessions')
+    .update({ source: null })
+    .lt('expires_at', new Date().toISOString())
+    .not('source', 'is', null);
+
+  if (error) {
+    console.error('Error clearing expired clarification sessions:', error);
+  }
+}
+
+/**
+ * Generate questions for a low-confidence analysis and open a session for the answers
+ * The original input (image or description) is kept with the session so the
+ * refinement sees the same context. Failures are logged and return null - the
+ * analysis is still usable without clarification.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.kind - 'image' or 'text'
+ * @param {Object} params.analysis - The low-confidence dish analysis
+ * @param {Object} params.source - { base64Image, mimeType } or { description }
+ * @param {Object} [params.callContext] - Ledger attribution from getAICallContext(req)
+ * @returns {Promise<{ sessionId: string, questions: Array, expiresAt: string }|null>}
+ */
+async function startClarificationSession({ userId, kind, analysis, source, callContext }) {
+  try {
+    const questions = await generateClarificationQuestions(analysis, source, { callContext });
+    if (questions.length === 0) {
+      return null;
+    }
+
+    // Expired sessions still hold their images - clear this user's on the way
+    await supabase
+      .from('clarification_sessions')
+      .delete()
+      .eq('user_id', userId)
+      .lt('expires_at', new Date().toISOString());
+    await clearExpiredClarificationSources();
+
+    const expiresAt = new Date(Date.now() + CLARIFICATION_SESSION_TTL_MINUTES * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('clarification_sessions')
+      .insert({
+        user_id: userId,
+        kind,
+        analysis,
+        questions,
+        source,
+        status: 'open',
+        expires_at: expiresAt
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('Error creating clarification session:', error);
+      return null;
+    }
+
+    return { sessionId: data.id, questions, expiresAt };
+  } catch (error) {
+    console.error('Clarification session error:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a user's clarification session, or null if it does not exist
+ */
+async function getClarificationSession(sessionId, userId) {
+  const { data, error } = await supabase
+    .from('clarification_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Failed to fetch clarification session');
+  }
+
+  return data;
+}
+
+/**
+ * Claim an open session for answering, so concurrent answers cannot refine twice
+ * @returns {Promise<boolean>} False if the session was no longer open
+ */
+async function claimClarificationSession(sessionId) {
+  const { data, error } = await supabase
+    .from('clarification_sessions')
+    .update({ status: 'answering' })
+    .eq('id', sessionId)
+    .eq('status', 'open')
+    .select('id');
+
+  if (error) {
+    throw new Error('Failed to update clarification session');
+  }
+
+  return data.length > 0;
+}
+
+/**
+ * Reopen a claimed session after refinement failed, so the diner can retry
+ */
+async function releaseClarificationSession(sessionId) {
+  const { error } = await supabase
+    .from('clarification_sessions')
+    .update({ status: 'open' })
+    .eq('id', sessionId);
+
+  if (error) {
+    console.error('Error releasing clarification session:', error);
+  }
+}
+
+/**
+ * Close a session with the refined analysis and drop the stored input
+ */
+async function resolveClarificationSession(sessionId, { answers, refinedAnalysis }) {
+  const { error } = await supabase
+    .from('clarification_sessions')
+    .update({
+      status: 'resolved',
+      answers,
+      refined_analysis: refinedAnalysis,
+      source: null,
+      resolved_at: new Date().toISOString()
+    })
+    .eq('id', sessionId);
+
+  if (error) {
+    console.error('Error resolving clarification session:', error);
+  }
+}
+
+module.exports = {
+  CLARIFICATION_CONFIDENCE_THRESHOLD,
+  CLARIFICATION_SESSION_TTL_MINUTES,
+  needsClarification,
+  startClarificationSession,
+  clearExpiredClarificationSources,
+  getClarificationSession,
+  claimClarificationSession,
+  releaseClarificationSession,
+  resolveClarificationSession
+};
@@ -0,0 +1,31 @@
+// utils/concurrency.js
+// Helpers for running async work with a bounded number of tasks in flight
+
+/**
+ * Map items through an async function with at most `limit` calls running at once
+ * Results keep the order of the input; a rejected call rejects the whole map,
+ * so callers that want per-item errors should catch inside `fn`
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {Function} fn - Called with (item, index)
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.min(Math.max(1, limit), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,307 @@
+// utils/dietaryConflicts.js
+// Check dishes against a user's dietary profile (allergens, diets, disliked ingredients)
+//
+// Conflicts are found by matching English ingredient keywords against a dish's
+// name, ingredients and declared allergens - analyses are checked on their canonical
+// (English) fields. This is a warning aid, not a guarantee: a dish without a
+// warning can still contain an allergen the menu or analysis does not mention.
+const { DIETARY_TAGS } = require('../config/aiSchemas');
+
+// Allergens a profile can list - the nine major food allergens - with their keywords
+const ALLERGEN_KEYWORDS = {
+  gluten: [
+    'gluten', 'wheat', 'flour', 'bread', 'breadcrumbs', 'panko', 'pasta', 'spaghetti', 'noodle',
+    'udon', 'ramen', 'couscous', 'barley', 'rye', 'semolina', 'seitan', 'dough', 'crust', 'bun',
+    'tortilla', 'croutons', 'soy sauce', 'beer', 'mock duck'
+  ],
+  dairy: [
+    'dairy', 'milk', 'cheese', 'butter', 'cream', 'yogurt', 'yoghurt', 'ghee', 'mozzarella', 'parmesan',
+    'cheddar', 'ricotta', 'feta', 'paneer', 'whey', 'custard', 'mascarpone', 'gouda', 'brie', 'burrata'
+  ],
+  eggs: ['egg', 'mayonnaise', 'mayo', 'aioli', 'meringue'],
+  peanuts: ['peanut', 'satay'],
+  'tree-nuts': [
+    'nut', 'tree nut', 'almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'macadamia',
+    'pine nut', 'praline', 'marzipan'
+  ],
+  soy: ['soy', 'soya', 'soy sauce', 'tofu', 'edamame', 'miso', 'tempeh'],
+  fish: [
+    'fish', 'fish sauce', 'salmon', 'tuna', 'cod', 'anchovy', 'anchovies', 'sardine', 'mackerel',
+    'trout', 'halibut', 'tilapia', 'bonito', 'dashi', 'surimi', 'imitation crab'
+  ],
+  shellfish: [
+    'shellfish', 'crustacean', 'shrimp', 'prawn', 'crab', 'lobster', 'crayfish', 'scallop', 'clam',
+    'mussel', 'oyster', 'squid', 'octopus', 'calamari'
+  ],
+  sesame: ['sesame', 'tahini']
+};
+
+// Phrases containing an allergen keyword that are not that allergen
+const ALLERGEN_EXCEPTIONS = {
+  gluten: ['rice noodle', 'rice flour', 'corn tortilla'],
+  dairy: ['coconut milk', 'coconut cream', 'almond milk', 'oat milk', 'soy milk', 'peanut butter', 'cocoa butter']
+};
+
+const MEAT_KEYWORDS = [
+  'meat', 'beef', 'pork', 'chicken', 'lamb', 'mutton', 'veal', 'bacon', 'ham', 'sausage', 'chorizo',
+  'pepperoni', 'salami', 'prosciutto', 'pancetta', 'duck', 'turkey', 'goat', 'venison', 'chashu',
+  'steak', 'brisket', 'meatball', 'burger', 'hamburger', 'cheeseburger', 'lard', 'gelatin'
+];
+const PORK_KEYWORDS = ['pork', 'bacon', 'ham', 'lard', 'chorizo', 'pepperoni', 'salami', 'prosciutto', 'pancetta', 'chashu'];
+const ALCOHOL_KEYWORDS = ['wine', 'beer', 'rum', 'sake', 'mirin', 'brandy', 'liqueur', 'vodka'];
+const HIGH_CARB_KEYWORDS = [
+  'sugar', 'honey', 'rice', 'pasta', 'spaghetti', 'noodle', 'bread', 'bun', 'potato', 'flour',
+  'dough', 'tortilla', 'couscous'
+];
+
+// Keywords that make a dish unsuitable for each diet (keys are DIETARY_TAGS)
+const DIET_EXCLUSIONS = {
+  vegetarian: [...MEAT_KEYWORDS, ...ALLERGEN_KEYWORDS.fish, ...ALLERGEN_KEYWORDS.shellfish],
+  vegan: [
+    ...MEAT_KEYWORDS, ...ALLERGEN_KEYWORDS.fish, ...ALLERGEN_KEYWORDS.shellfish,
+    ...ALLERGEN_KEYWORDS.dairy, ...ALLERGEN_KEYWORDS.eggs, 'honey'
+  ],
+  pescatarian: MEAT_KEYWORDS,
+  'gluten-free': ALLERGEN_KEYWORDS.gluten,
+  'dairy-free': ALLERGEN_KEYWORDS.dairy,
+  'nut-free': [...ALLERGEN_KEYWORDS.peanuts, ...ALLERGEN_KEYWORDS['tree-nuts']],
+  'egg-free': ALLERGEN_KEYWORDS.eggs,
+  halal: [...PORK_KEYWORDS, ...ALCOHOL_KEYWORDS],
+  kosher: [...PORK_KEYWORDS, ...ALLERGEN_KEYWORDS.shellfish],
+  keto: HIGH_CARB_KEYWORDS,
+  'low-carb': HIGH_CARB_KEYWORDS,
+  paleo: [...ALLERGEN_KEYWORDS.gluten, ...ALLERGEN_KEYWORDS.dairy, ...ALLERGEN_KEYWORDS.peanuts, 'sugar', 'rice', 'beans', 'lentils', 'soy', 'tofu']
+};
+
+// Exceptions of the allergen lists also apply to the diets built from them
+const DIET_EXCEPTIONS = {
+  vegan: ALLERGEN_EXCEPTIONS.dairy,
+  'gluten-free': ALLERGEN_EXCEPTIONS.gluten,
+  'dairy-free': ALLERGEN_EXCEPTIONS.dairy,
+  keto: ['cauliflower rice'],
+  'low-carb': ['cauliflower rice'],
+  paleo: [...ALLERGEN_EXCEPTIONS.gluten, ...ALLERGEN_EXCEPTIONS.dairy, 'cauliflower rice']
+};
+
+// Words marking an ingredient as a substitute, and the diets it is then fine for
+// ("vegan cheese" is dairy-free). Allergens are always checked - a vegan cheese can
+// be made of cashews, mock duck of wheat gluten - and "imitation" is not a
+// substitute word at all: imitation crab is usually fish.
+const SUBSTITUTE_DIETS = [
+  { pattern: /\b(vegan|plant-based)\b/, diets: ['vegetarian', 'vegan', 'pescatarian', 'dairy-free', 'egg-free'] },
+  { pattern: /\b(veggie|meatless|meat-free|mock)\b/, diets: ['vegetarian', 'pescatarian'] },
+  { pattern: /\bgluten-free\b/, diets: ['gluten-free'] },
+  { pattern: /\bdairy-free\b/, diets: ['dairy-free'] },
+  { pattern: /\begg-free\b/, diets: ['egg-free'] },
+  { pattern: /\bnut-free\b/, diets: ['nut-free'] }
+];
+
+// "gluten-free", "sugar-free"... say what a dish does not contain
+const FREE_FROM_PATTERN = /\b[a-z]+-free\b/g;
+
+const ALLERGENS = Object.keys(ALLERGEN_KEYWORDS);
+const MAX_DISLIKED_INGREDIENTS = 50;
+
+const EMPTY_PROFILE = {
+  allergens: [],
+  diets: [],
+  dislikedIngredients: [],
+  strictMode: false
+};
+
+/**
+ * Escape a keyword for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the first keyword that occurs as a whole word (optionally plural) in the text
+ * @returns {string|null}
+ */
+function findKeyword(text, keywords, exceptions = []) {
+  const cleaned = exceptions.reduce((result, phrase) => result.split(phrase).join(' '), text);
+
+  return keywords.find(keyword =>
+    new RegExp(`\\b${escapeRegExp(keyword)}(e?s)?\\b`).test(cleaned)
+  ) || null;
+}
+
+/**
+ * English texts of a dish to check: name, ingredients and declared allergens
+ * Works for AI analyses (canonical fields) and restaurant_dishes rows
+ */
+function getDishTexts(dish) {
+  const storedAllergens = dish.nutrition_info?.allergens || dish.allergens || [];
+  const texts = [
+    dish.canonicalName || dish.name,
+    ...(dish.canonicalIngredients || dish.ingredients || []),
+    ...storedAllergens
+  ];
+
+  return texts
+    .filter(text => typeof text === 'string' && text.trim().length > 0)
+    .map(text => text.toLowerCase().trim());
+}
+
+/**
+ * Whether a text is a substitute that suits a diet (e.g. "vegan cheese" for dairy-free)
+ */
+function isSubstituteFor(text, diet) {
+  return SUBSTITUTE_DIETS.some(({ pattern, diets }) => diets.includes(diet) && pattern.test(text));
+}
+
+/**
+ * Collect the texts that contain one of the keywords
+ * "x-free" words are not evidence of x, so they are left out of the search
+ */
+function findMatchingTexts(texts, keywords, exceptions) {
+  return texts.filter(text => findKeyword(text.replace(FREE_FROM_PATTERN, ' '), keywords, exceptions));
+}
+
+/**
+ * Whether a profile has anything to check
+ */
+function hasDietaryRestrictions(profile) {
+  return !!profile && (
+    profile.allergens.length > 0 ||
+    profile.diets.length > 0 ||
+    profile.dislikedIngredients.length > 0
+  );
+}
+
+/**
+ * Check one dish against a dietary profile
+ * @returns {Array<{ type: string, value: string, matches: string[], message: string }>}
+ *   One warning per allergen, diet or disliked ingredient the dish conflicts with
+ */
+function getDietaryWarnings(dish, profile) {
+  if (!hasDietaryRestrictions(profile)) {
+    return [];
+  }
+
+  const texts = getDishTexts(dish);
+  const warnings = [];
+
+  profile.allergens.forEach(allergen => {
+    const matches = findMatchingTexts(texts, ALLERGEN_KEYWORDS[allergen] || [], ALLERGEN_EXCEPTIONS[allergen]);
+    if (matches.length > 0) {
+      warnings.push({ type: 'allergen', value: allergen, matches, message: `May contain ${allergen} (${matches.join(', ')})` });
+    }
+  });
+
+  profile.diets.forEach(diet => {
+    const dietTexts = texts.filter(text => !isSubstituteFor(text, diet));
+    const matches = findMatchingTexts(dietTexts, DIET_EXCLUSIONS[diet] || [], DIET_EXCEPTIONS[diet]);
+    if (matches.length > 0) {
+      warnings.push({ type: 'diet', value: diet, matches, message: `Likely not ${diet} (${matches.join(', ')})` });
+    }
+  });
+
+  profile.dislikedIngredients.forEach(ingredient => {
+    const matches = findMatchingTexts(texts, [ingredient]);
+    if (matches.length > 0) {
+      warnings.push({ type: 'disliked', value: ingredient, matches, message: `Contains ${ingredient}, which you dislike` });
+    }
+  });
+
+  return warnings;
+}
+
+/**
+ * Whether warnings rule a dish out in strict mode - allergens and diets do,
+ * disliked ingredients are only a preference and never exclude a dish
+ */
+function hasStrictConflict(warnings) {
+  return warnings.some(warning => warning.type !== 'disliked');
+}
+
+/**
+ * Add dietaryWarnings to a dish (left unchanged when the profile has no restrictions)
+ */
+function annotateDish(dish, profile) {
+  if (!dish || !hasDietaryRestrictions(profile)) {
+    return dish;
+  }
+  return { ...dish, dietaryWarnings: getDietaryWarnings(dish, profile) };
+}
+
+/**
+ * Add dietaryWarnings to each dish of a list
+ */
+function annotateDishes(dishes, profile) {
+  return (dishes || []).map(dish => annotateDish(dish, profile));
+}
+
+/**
+ * Validate a profile sent by a client
+ * @returns {{ profile: Object|null, error: string|null }}
+ */
+function parseDietaryProfile(input = {}) {
+  const {
+    allergens = [],
+    diets = [],
+    dislikedIngredients = [],
+    strictMode = false
+  } = input;
+
+  if (!Array.isArray(allergens) || allergens.some(allergen => !ALLERGENS.includes(allergen))) {
+    return { profile: null, error: `allergens must only contain: ${ALLERGENS.join(', ')}` };
+  }
+
+  if (!Array.isArray(diets) || diets.some(diet => !DIETARY_TAGS.includes(diet))) {
+    return { profile: null, error: `diets must only contain: ${DIETARY_TAGS.join(', ')}` };
+  }
+
+  if (!Array.isArray(dislikedIngredients) || dislikedIngredients.length > MAX_DISLIKED_INGREDIENTS ||
+    dislikedIngredients.some(item => typeof item !== 'string' || item.trim().length === 0 || item.length > 50)) {
+    return {
+      profile: null,
+      error: `dislikedIngredients must be up to ${MAX_DISLIKED_INGREDIENTS} ingredient names of at most 50 characters`
+    };
+  }
+
+  if (typeof strictMode !== 'boolean') {
+    return { profile: null, error: 'strictMode must be true or false' };
+  }
+
+  return {
+    profile: {
+      allergens: [...new Set(allergens)],
+      diets: [...new Set(diets)],
+      dislikedIngredients: [...new Set(dislikedIngredients.map(item => item.toLowerCase().trim()))],
+      strictMode
+    },
+    error: null
+  };
+}
+
+/**
+ * Convert a dietary_profiles row to the profile format (empty profile for no row)
+ */
+function formatDietaryProfile(row) {
+  if (!row) {
+    return { ...EMPTY_PROFILE };
+  }
+
+  return {
+    allergens: row.allergens || [],
+    diets: row.diets || [],
+    dislikedIngredients: row.disliked_ingredients || [],
+    strictMode: !!row.strict_mode,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  ALLERGENS,
+  EMPTY_PROFILE,
+  hasDietaryRestrictions,
+  getDietaryWarnings,
+  hasStrictConflict,
+  annotateDish,
+  annotateDishes,
+  parseDietaryProfile,
+  formatDietaryProfile
+};
@@ -0,0 +1,207 @@
+// utils/dishEmbeddings.js
+// Embeddings of restaurant dishes for semantic matching
+//
+// Vectors are stored in dish_embeddings together with the model that computed
+// them and a hash of the embedded text; a vector from another model or for text
+// that has changed since is treated as missing. Missing vectors are computed in
+// the background - the request that found them matches those dishes on text alone.
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { getEmbeddingProvider } = require('../config/embeddingProviders');
+
+let supabase = null;
+
+/**
+ * Supabase client, created on first use (dishMatching loads this module for
+ * cosineSimilarity without a database)
+ */
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+  return supabase;
+}
+
+// Texts per provider request
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 64;
+
+// Dish ids per dish_embeddings lookup (the ids go in the request URL)
+const LOOKUP_CHUNK_SIZE = 200;
+
+// Dishes whose embeddings are being computed in the background
+const pendingDishIds = new Set();
+
+/**
+ * Text embedded for a dish: name, description and ingredients
+ */
+function getDishEmbeddingText(dish) {
+  return [
+    dish.name,
+    dish.description,
+    Array.isArray(dish.ingredients) && dish.ingredients.length > 0
+      ? `Ingredients: ${dish.ingredients.join(', ')}`
+      : null
+  ].filter(Boolean).join('. ');
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Cosine similarity of two vectors (0 when either is empty or lengths differ)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Embed texts in provider-sized batches
+ */
+async function embedTexts(texts) {
+  const provider = getEmbeddingProvider();
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    vectors.push(...await provider.embed(texts.slice(i, i + EMBEDDING_BATCH_SIZE)));
+  }
+  return vectors;
+}
+
+/**
+ * Embedding of an analyzed dish (use the English canonical dish)
+ */
+async function embedTargetDish(dish) {
+  const [vector] = await embedTexts([getDishEmbeddingText(dish)]);
+  return vector;
+}
+
+/**
+ * Compute and store embeddings for restaurant dishes (rows with id, name, description, ingredients)
+ * @returns {Promise<Map>} dish id → vector
+ */
+async function embedDishes(dishes) {
+  const embeddings = new Map();
+  if (!dishes || dishes.length === 0) return embeddings;
+
+  const { model } = getEmbeddingProvider();
+  const texts = dishes.map(getDishEmbeddingText);
+  const vectors = await embedTexts(texts);
+
+  const rows = dishes.map((dish, i) => {
+    embeddings.set(dish.id, vectors[i]);
+    return {
+      dish_id: dish.id,
+      embedding: vectors[i],
+      model,
+      content_hash: hashText(texts[i]),
+      updated_at: new Date().toISOString()
+    };
+  });
+
+  const { error } = await getSupabase()
+    .from('dish_embeddings')
+    .upsert(rows, { onConflict: 'dish_id' });
+
+  if (error) {
+    // The vectors can still be used for this request
+    console.error('Error storing dish embeddings:', error);
+  }
+
+  return embeddings;
+}
+
+/**
+ * Stored embeddings of dishes for a model, looked up in chunks of LOOKUP_CHUNK_SIZE ids
+ * @returns {Promise<Map>} dish id → { embedding, content_hash }
+ */
+async function loadStoredEmbeddings(dishIds, model) {
+  const stored = new Map();
+  for (let i = 0; i < dishIds.length; i += LOOKUP_CHUNK_SIZE) {
+    const { data, error } = await getSupabase()
+      .from('dish_embeddings')
+      .select('dish_id, embedding, content_hash')
+      .in('dish_id', dishIds.slice(i, i + LOOKUP_CHUNK_SIZE))
+      .eq('model', model);
+
+    if (error) {
+      console.error('Error loading dish embeddings:', error);
+      continue;
+    }
+    data.forEach(row => stored.set(row.dish_id, row));
+  }
+  return stored;
+}
+
+/**
+ * Compute embeddings for dishes in the background (dishes already being computed are skipped)
+ */
+function embedDishesInBackground(dishes) {
+  const queued = dishes.filter(dish => !pendingDishIds.has(dish.id));
+  if (queued.length === 0) return;
+
+  queued.forEach(dish => pendingDishIds.add(dish.id));
+  embedDishes(queued)
+    .catch(error => console.error('Dish embedding error:', error))
+    .finally(() => queued.forEach(dish => pendingDishIds.delete(dish.id)));
+}
+
+/**
+ * Get stored embeddings for restaurant dishes
+ * Missing or stale ones are computed in the background and left out, so those
+ * dishes are matched on text alone until they are stored.
+ * @param {Object} [options]
+ * @param {boolean} [options.waitForMissing] - Compute missing embeddings before
+ *   returning (scripts/embedDishes.js)
+ * @returns {Promise<Map>} dish id → vector
+ */
+async function getDishEmbeddings(dishes, { waitForMissing = false } = {}) {
+  const embeddings = new Map();
+  if (!dishes || dishes.length === 0) return embeddings;
+
+  const { model } = getEmbeddingProvider();
+  const stored = await loadStoredEmbeddings(dishes.map(dish => dish.id), model);
+  const missing = dishes.filter(dish => {
+    const row = stored.get(dish.id);
+    if (row && row.content_hash === hashText(getDishEmbeddingText(dish))) {
+      embeddings.set(dish.id, row.embedding);
+      return false;
+    }
+    return true;
+  });
+
+  if (missing.length === 0) return embeddings;
+
+  if (!waitForMissing) {
+    embedDishesInBackground(missing);
+    return embeddings;
+  }
+
+  try {
+    const computed = await embedDishes(missing);
+    computed.forEach((vector, dishId) => embeddings.set(dishId, vector));
+  } catch (embedError) {
+    console.error('Dish embedding error:', embedError);
+  }
+  return embeddings;
+}
+
+module.exports = {
+  getDishEmbeddingText,
+  cosineSimilarity,
+  embedTargetDish,
+  embedDishes,
+  getDishEmbeddings
+};
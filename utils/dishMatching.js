@@ -1,95 +1,296 @@
 // utils/dishMatching.js
+const { getDietaryWarnings, hasDietaryRestrictions, hasStrictConflict } = require('./dietaryConflicts');
+const { canonicalizeIngredient, compareIngredients } = require('./ingredients');
+const { scoreTextMatch } = require('./dishRanker');
+const { cosineSimilarity } = require('./dishEmbeddings');
+const { DEFAULT_LANGUAGE } = require('../config/languages');
+
+// Weight presets for the similarity parts - each surface can rank differently
+// balanced: the original weighting; taste-alike: dishes that eat similarly, even
+// under another name; same-dish: the same dish first; same-ingredients: what is in it
+const MATCH_PRESETS = {
+  balanced: { name: 40, ingredients: 35, description: 25, cuisine: 0 },
+  'taste-alike': { name: 10, ingredients: 35, description: 30, cuisine: 25 },
+  'same-dish': { name: 60, ingredients: 20, description: 10, cuisine: 10 },
+  'same-ingredients': { name: 10, ingredients: 75, description: 15, cuisine: 0 }
+};
+const DEFAULT_MATCH_PRESET = 'balanced';
+const MATCH_WEIGHT_PARTS = ['name', 'ingredients', 'description', 'cuisine'];
+
+// Words that do not tell cuisines apart ("Modern Japanese" is Japanese)
+const GENERIC_CUISINE_WORDS = new Set(['food', 'cuisine', 'restaurant', 'fusion', 'modern', 'traditional', 'style', 'and']);
+
+/**
+ * Resolve a weight preset plus optional per-part overrides
+ * @param {string} [preset] - Key of MATCH_PRESETS (default 'balanced')
+ * @param {Object} [weights] - { name, ingredients, description, cuisine } - numbers 0-100, any subset
+ * @returns {{ weights: Object|null, error: string|null }}
+ */
+function resolveMatchWeights(preset = DEFAULT_MATCH_PRESET, weights = null) {
+  if (!MATCH_PRESETS[preset]) {
+    return { weights: null, error: `Match preset must be one of: ${Object.keys(MATCH_PRESETS).join(', ')}` };
+  }
+
+  if (weights === null || weights === undefined) {
+    return { weights: { ...MATCH_PRESETS[preset] }, error: null };
+  }
+
+  if (typeof weights !== 'object' || Array.isArray(weights) ||
+    Object.entries(weights).some(([part, weight]) =>
+      !MATCH_WEIGHT_PARTS.includes(part) || typeof weight !== 'number' || !(weight >= 0 && weight <= 100))) {
+    return {
+      weights: null,
+      error: `Match weights must map ${MATCH_WEIGHT_PARTS.join(', ')} to numbers from 0 to 100`
+    };
+  }
+
+  const resolved = { ...MATCH_PRESETS[preset], ...weights };
+  if (MATCH_WEIGHT_PARTS.every(part => resolved[part] === 0)) {
+    return { weights: null, error: 'Match weights must give at least one part a weight above 0' };
+  }
+
+  return { weights: resolved, error: null };
+}
+
+/**
+ * Calculate similarity between two cuisines: 1 when they share a cuisine word
+ * ("Japanese" / "Japanese, Ramen"), otherwise 0
+ */
+function calculateCuisineSimilarity(cuisine1, cuisine2) {
+  const toWords = (cuisine) => new Set(
+    String(cuisine).toLowerCase().split(/[^\p{L}]+/u).filter(word => word.length > 2 && !GENERIC_CUISINE_WORDS.has(word))
+  );
+  const words2 = toWords(cuisine2);
+  return [...toWords(cuisine1)].some(word => words2.has(word)) ? 1 : 0;
+}
 
 /**
- * Calculate similarity between two dishes based on name, ingredients, and description
- * Returns a score from 0-100
+ * Calculate similarity between two dishes based on name, ingredients, description and cuisine
+ * Name and description are ranked with BM25 against the dish index (call
+ * ensureDishIndex() first so the corpus statistics are loaded)
+ * @param {Object} [options]
+ * @param {Object} [options.weights] - Part weights (resolveMatchWeights), default: balanced
+ * @param {string} [options.restaurantCuisine] - restaurants.cuisine_type of the dish's restaurant
+ * @returns {{ score: number, breakdown: Object }} score from 0-100, and per part
+ *   its sub-score (0-100), weight and what matched - parts that could not be
+ *   compared (missing on either side, or weighted 0) are null
  */
-function calculateDishSimilarity(targetDish, restaurantDish) {
+function calculateDishSimilarity(targetDish, restaurantDish, { weights = MATCH_PRESETS[DEFAULT_MATCH_PRESET], restaurantCuisine } = {}) {
   let score = 0;
   let totalWeight = 0;
+  const breakdown = { name: null, ingredients: null, description: null, cuisine: null, semantic: null };
 
-  // 1. Name similarity (weight: 40%)
-  const nameWeight = 40;
-  const nameScore = calculateTextSimilarity(
-    targetDish.name?.toLowerCase() || '',
-    restaurantDish.name?.toLowerCase() || ''
-  );
-  score += nameScore * nameWeight;
-  totalWeight += nameWeight;
+  // 1. Name similarity
+  if (weights.name > 0) {
+    const name = scoreTextMatch('name', targetDish.name, restaurantDish.name);
+    score += name.score * weights.name;
+    totalWeight += weights.name;
+    breakdown.name = {
+      score: Math.round(name.score * 100),
+      weight: weights.name,
+      matchedTerms: name.matchedTerms
+    };
+  }
 
-  // 2. Ingredients similarity (weight: 35%)
-  if (targetDish.ingredients && restaurantDish.ingredients) {
-    const ingredientsWeight = 35;
-    const ingredientsScore = calculateArraySimilarity(
+  // 2. Ingredients similarity
+  if (weights.ingredients > 0 && targetDish.ingredients && restaurantDish.ingredients) {
+    const ingredients = calculateArraySimilarity(
       targetDish.ingredients,
       restaurantDish.ingredients
     );
-    score += ingredientsScore * ingredientsWeight;
-    totalWeight += ingredientsWeight;
+    score += ingredients.score * weights.ingredients;
+    totalWeight += weights.ingredients;
+    breakdown.ingredients = {
+      score: Math.round(ingredients.score * 100),
+      weight: weights.ingredients,
+      matched: ingredients.matched,
+      missing: ingredients.missing,
+      matchedCount: ingredients.matched.length,
+      totalCount: ingredients.matched.length + ingredients.missing.length
+    };
   }
 
-  // 3. Description/category similarity (weight: 25%)
-  if (targetDish.description && restaurantDish.description) {
-    const descriptionWeight = 25;
-    const descriptionScore = calculateTextSimilarity(
-      targetDish.description?.toLowerCase() || '',
-      restaurantDish.description?.toLowerCase() || ''
-    );
-    score += descriptionScore * descriptionWeight;
-    totalWeight += descriptionWeight;
+  // 3. Description/category similarity
+  if (weights.description > 0 && targetDish.description && restaurantDish.description) {
+    const description = scoreTextMatch('description', targetDish.description, restaurantDish.description);
+    score += description.score * weights.description;
+    totalWeight += weights.description;
+    breakdown.description = {
+      score: Math.round(description.score * 100),
+      weight: weights.description,
+      matchedTerms: description.matchedTerms
+    };
+  }
+
+  // 4. Cuisine of the dish vs the restaurant's cuisine
+  if (weights.cuisine > 0 && targetDish.cuisine && restaurantCuisine) {
+    const cuisineScore = calculateCuisineSimilarity(targetDish.cuisine, restaurantCuisine);
+    score += cuisineScore * weights.cuisine;
+    totalWeight += weights.cuisine;
+    breakdown.cuisine = {
+      score: cuisineScore * 100,
+      weight: weights.cuisine,
+      cuisine: targetDish.cuisine,
+      restaurantCuisine
+    };
   }
 
   // Normalize score to 0-100
   const finalScore = totalWeight > 0 ? (score / totalWeight) * 100 : 0;
-  return Math.round(finalScore);
+  return { score: Math.round(finalScore), breakdown };
 }
 
 /**
- * Calculate text similarity using word overlap
+ * Unique ingredients in canonical form, keeping the first name each was given as
  */
-function calculateTextSimilarity(text1, text2) {
-  if (!text1 || !text2) return 0;
+function toCanonicalEntries(ingredients) {
+  const entries = new Map();
+  ingredients.forEach(name => {
+    const canonical = canonicalizeIngredient(name);
+    if (canonical && !entries.has(canonical)) {
+      entries.set(canonical, { name: String(name).trim(), canonical });
+    }
+  });
+  return [...entries.values()];
+}
 
-  // Tokenize and clean
-  const words1 = new Set(text1.split(/\W+/).filter(w => w.length > 2));
-  const words2 = new Set(text2.split(/\W+/).filter(w => w.length > 2));
+/**
+ * Calculate similarity between two ingredient lists
+ * Ingredients are compared in canonical form (plurals, synonyms), and a
+ * parent/child pair such as "cheddar" / "cheese" counts as a partial match.
+ * Each ingredient is matched at most once; with exact matches only this is
+ * the Jaccard similarity of the two sets.
+ * @returns {{ score: number, matched: Array, missing: string[] }} score from 0-1;
+ *   matched pairs ({ ingredient, matchedWith, partial }) and missing ingredients
+ *   of the first list, by their given names
+ */
+function calculateArraySimilarity(arr1, arr2) {
+  const list1 = toCanonicalEntries(arr1 || []);
+  const list2 = toCanonicalEntries(arr2 || []);
+  if (list1.length === 0 || list2.length === 0) {
+    return { score: 0, matched: [], missing: list1.map(entry => entry.name) };
+  }
+
+  // Pair the best matches first so an exact match is never taken by a partial one
+  const pairs = [];
+  list1.forEach((entry1, i) => {
+    list2.forEach((entry2, j) => {
+      const credit = compareIngredients(entry1.canonical, entry2.canonical);
+      if (credit > 0) pairs.push({ i, j, credit });
+    });
+  });
+  pairs.sort((a, b) => b.credit - a.credit);
 
-  if (words1.size === 0 || words2.size === 0) return 0;
+  const pairedWith = new Map();
+  const used2 = new Set();
+  let credit = 0;
+  pairs.forEach(pair => {
+    if (pairedWith.has(pair.i) || used2.has(pair.j)) return;
+    pairedWith.set(pair.i, pair);
+    used2.add(pair.j);
+    credit += pair.credit;
+  });
 
-  // Calculate Jaccard similarity
-  const intersection = new Set([...words1].filter(w => words2.has(w)));
-  const union = new Set([...words1, ...words2]);
+  const matched = [];
+  const missing = [];
+  list1.forEach((entry, i) => {
+    const pair = pairedWith.get(i);
+    if (pair) {
+      matched.push({ ingredient: entry.name, matchedWith: list2[pair.j].name, partial: pair.credit < 1 });
+    } else {
+      missing.push(entry.name);
+    }
+  });
 
-  return intersection.size / union.size;
+  return {
+    score: credit / (list1.length + list2.length - credit),
+    matched,
+    missing
+  };
 }
 
 /**
- * Calculate similarity between two arrays of strings
+ * Get the English version of an analyzed dish for comparing against menu data
+ * Localized analyses carry canonicalName/canonicalCuisine/canonicalIngredients;
+ * their description is not English, so it is left out rather than scored as a
+ * mismatch (as is the cuisine of analyses without canonicalCuisine)
  */
-function calculateArraySimilarity(arr1, arr2) {
-  if (!arr1 || !arr2 || arr1.length === 0 || arr2.length === 0) return 0;
+function getCanonicalDish(dish) {
+  if (!dish.language || dish.language === DEFAULT_LANGUAGE) {
+    return dish;
+  }
 
-  // Normalize arrays
-  const set1 = new Set(arr1.map(item => item.toLowerCase().trim()));
-  const set2 = new Set(arr2.map(item => item.toLowerCase().trim()));
+  return {
+    ...dish,
+    name: dish.canonicalName || dish.name,
+    ingredients: dish.canonicalIngredients || dish.ingredients,
+    description: undefined,
+    cuisine: dish.canonicalCuisine
+  };
+}
 
-  // Calculate overlap
-  const intersection = new Set([...set1].filter(item => set2.has(item)));
-  const union = new Set([...set1, ...set2]);
+/**
+ * Blend the text-based similarity with the semantic (embedding) similarity
+ * @returns {{ score: number, breakdown: Object }} breakdown gains
+ *   semantic: { score, weight } - weight is the semantic share of the final score
+ *   in percent; the other parts make up the rest
+ */
+function blendSemanticSimilarity({ score, breakdown }, semanticSimilarity, semanticWeight) {
+  const semanticScore = Math.max(semanticSimilarity, 0) * 100;
 
-  return intersection.size / union.size;
+  return {
+    score: Math.round((1 - semanticWeight) * score + semanticWeight * semanticScore),
+    breakdown: {
+      ...breakdown,
+      semantic: {
+        score: Math.round(semanticScore),
+        weight: Math.round(semanticWeight * 100)
+      }
+    }
+  };
 }
 
 /**
  * Filter and sort restaurant dishes by similarity
+ * Each match carries similarity and matchBreakdown (see calculateDishSimilarity).
+ * Hybrid mode (targetEmbedding given) blends in the cosine similarity of the dish
+ * embeddings; dishes without an embedding are scored on text alone.
+ * With a dietary profile, matches carry dietaryWarnings; in strict mode
+ * (profile.strictMode) dishes conflicting with an allergen or diet are left out.
+ * @param {Object} [options]
+ * @param {Object} [options.dietaryProfile] - From loadDietaryProfile
+ * @param {Object} [options.weights] - Part weights from resolveMatchWeights
+ * @param {Map} [options.restaurantCuisines] - Restaurant id → cuisine_type
+ * @param {number[]} [options.targetEmbedding] - Embedding of the target dish (hybrid mode)
+ * @param {Map} [options.dishEmbeddings] - Restaurant dish id → embedding
+ * @param {number} [options.semanticWeight] - Share of the semantic similarity, 0-1
  */
-function findMatchingDishes(targetDish, restaurantDishes, minSimilarity = 30) {
+function findMatchingDishes(targetDish, restaurantDishes, minSimilarity = 30, {
+  dietaryProfile,
+  weights,
+  restaurantCuisines,
+  targetEmbedding,
+  dishEmbeddings,
+  semanticWeight = 0.4
+} = {}) {
+  const canonicalTarget = getCanonicalDish(targetDish);
+  const checkDiet = hasDietaryRestrictions(dietaryProfile);
+
   const matches = restaurantDishes
-    .map(dish => ({
-      ...dish,
-      similarity: calculateDishSimilarity(targetDish, dish)
-    }))
+    .map(dish => {
+      let similarity = calculateDishSimilarity(canonicalTarget, dish, {
+        weights,
+        restaurantCuisine: restaurantCuisines?.get(dish.restaurant_id)
+      });
+      const dishEmbedding = targetEmbedding && dishEmbeddings?.get(dish.id);
+      if (dishEmbedding) {
+        similarity = blendSemanticSimilarity(similarity, cosineSimilarity(targetEmbedding, dishEmbedding), semanticWeight);
+      }
+      return { ...dish, similarity: similarity.score, matchBreakdown: similarity.breakdown };
+    })
     .filter(dish => dish.similarity >= minSimilarity)
+    .map(dish => (checkDiet ? { ...dish, dietaryWarnings: getDietaryWarnings(dish, dietaryProfile) } : dish))
+    .filter(dish => !(checkDiet && dietaryProfile.strictMode && hasStrictConflict(dish.dietaryWarnings)))
     .sort((a, b) => b.similarity - a.similarity);
 
   return matches;
@@ -140,8 +341,12 @@ function filterByDistance(restaurants, userLat, userLon, maxDistance) {
 }
 
 module.exports = {
+  MATCH_PRESETS,
+  DEFAULT_MATCH_PRESET,
+  resolveMatchWeights,
   calculateDishSimilarity,
   findMatchingDishes,
+  getCanonicalDish,
   calculateDistance,
   filterByDistance
 };
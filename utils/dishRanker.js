@@ -0,0 +1,290 @@
+// utils/dishRanker.js
+// BM25 text ranking for dish names and descriptions
+//
+// Term statistics (document frequencies, average lengths) are built over the
+// restaurant_dishes table, so rare, distinctive words ("tonkotsu") weigh more than
+// words found on every menu ("sauce"). The index is loaded on startup, updated
+// incrementally when the API adds dishes, and rebuilt every
+// DISH_INDEX_REFRESH_MINUTES to pick up changes (and deletions) made outside the API.
+const { createClient } = require('@supabase/supabase-js');
+
+let supabase = null;
+
+/**
+ * Supabase client, created on the first index load (dishMatching uses the
+ * ranker without a database)
+ */
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+  return supabase;
+}
+
+const DISH_INDEX_REFRESH_MINUTES = parseInt(process.env.DISH_INDEX_REFRESH_MINUTES) || 60;
+const DISH_INDEX_RETRY_SECONDS = parseInt(process.env.DISH_INDEX_RETRY_SECONDS) || 60;
+const PAGE_SIZE = 1000;
+
+// BM25 parameters: term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'or', 'the', 'with', 'without', 'of', 'in', 'on', 'for', 'to', 'from', 'by',
+  'at', 'our', 'your', 'served', 'topped', 'style', 'made', 'house', 'side', 'choice', 'over'
+]);
+
+/**
+ * Light suffix-stripping stemmer
+ * Only needs to map inflections of a word to the same stem ("grilled", "grill";
+ * "baked", "bake", "baking"), not to a real word.
+ */
+function stemWord(word) {
+  if (word.length <= 3) return word;
+
+  let stem = word;
+  if (stem.endsWith('ies') || stem.endsWith('ied')) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (/(ch|sh|ss|x|z|o)es$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  if (stem.length > 5 && stem.endsWith('ing')) {
+    stem = stem.slice(0, -3);
+  } else if (stem.length > 4 && stem.endsWith('ed')) {
+    stem = stem.slice(0, -2);
+  }
+
+  if (stem.length > 3 && stem.endsWith('e')) {
+    stem = stem.slice(0, -1);
+  }
+  return stem;
+}
+
+/**
+ * Split text into words (lowercase, without stop words) with their stemmed terms
+ */
+function tokenizeWords(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(word => ({ word, term: stemWord(word) }));
+}
+
+/**
+ * Split text into stemmed terms, without stop words
+ */
+function tokenize(text) {
+  return tokenizeWords(text).map(({ term }) => term);
+}
+
+/**
+ * Term counts of a token list
+ */
+function countTerms(terms) {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Document frequencies and lengths of one text field over all indexed dishes
+ */
+class TermIndex {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.documents = new Map();  // dish id → { terms: Set, length }
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  get averageLength() {
+    return this.documents.size > 0 ? this.totalLength / this.documents.size : 0;
+  }
+
+  set(id, text) {
+    this.remove(id);
+
+    const terms = tokenize(text);
+    const uniqueTerms = new Set(terms);
+    uniqueTerms.forEach(term => {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    });
+    this.documents.set(id, { terms: uniqueTerms, length: terms.length });
+    this.totalLength += terms.length;
+  }
+
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    document.terms.forEach(term => {
+      const frequency = this.documentFrequency.get(term) - 1;
+      if (frequency > 0) {
+        this.documentFrequency.set(term, frequency);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    });
+    this.totalLength -= document.length;
+    this.documents.delete(id);
+  }
+
+  /**
+   * BM25 inverse document frequency (always positive; terms not in the index get the highest value)
+   */
+  idf(term) {
+    const frequency = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.documents.size - frequency + 0.5) / (frequency + 0.5));
+  }
+}
+
+const indexes = {
+  name: new TermIndex(),
+  description: new TermIndex()
+};
+let loadedAt = null;
+let loading = null;
+let failedAt = null;
+
+/**
+ * Add or update dishes in the index (rows with id, name, description)
+ */
+function indexDishes(dishes) {
+  (dishes || []).forEach(dish => {
+    indexes.name.set(dish.id, dish.name);
+    indexes.description.set(dish.id, dish.description);
+  });
+}
+
+/**
+ * Rebuild the index from restaurant_dishes
+ */
+async function rebuildDishIndex() {
+  const dishes = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await getSupabase()
+      .from('restaurant_dishes')
+      .select('id, name, description')
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error('Failed to load dishes for the ranking index');
+    }
+
+    dishes.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  indexes.name.clear();
+  indexes.description.clear();
+  indexDishes(dishes);
+  loadedAt = Date.now();
+  failedAt = null;
+  return dishes.length;
+}
+
+/**
+ * Make sure the index is loaded (await before ranking)
+ * The first call waits for the load; a stale index is rebuilt in the
+ * background while the current statistics keep being used. After a failed
+ * load, requests rank with the current (possibly empty) statistics until
+ * DISH_INDEX_RETRY_SECONDS have passed, instead of each retrying the load.
+ */
+async function ensureDishIndex() {
+  const stale = loadedAt && Date.now() - loadedAt >= DISH_INDEX_REFRESH_MINUTES * 60 * 1000;
+  if (loadedAt && !stale) return;
+  if (failedAt && Date.now() - failedAt < DISH_INDEX_RETRY_SECONDS * 1000) return;
+
+  if (!loading) {
+    loading = rebuildDishIndex()
+      .catch(error => {
+        failedAt = Date.now();
+        console.error('Dish index load error:', error);
+      })
+      .finally(() => { loading = null; });
+  }
+
+  if (!loadedAt) {
+    await loading;
+  }
+}
+
+/**
+ * Score how well a document text matches a query text
+ * BM25 with the index's statistics for the field, divided by the score a document
+ * of average length containing every query term once would get - so 1 means every
+ * query term matched, and missing rare terms cost more than missing common ones.
+ * @param {'name'|'description'} field
+ * @returns {{ score: number, matchedTerms: string[] }} score from 0-1, and the
+ *   query words found in the document
+ */
+function scoreTextMatch(field, queryText, documentText) {
+  const index = indexes[field];
+  const queryWords = new Map();
+  tokenizeWords(queryText).forEach(({ word, term }) => {
+    if (!queryWords.has(term)) queryWords.set(term, word);
+  });
+  const documentTerms = countTerms(tokenize(documentText));
+  if (queryWords.size === 0 || documentTerms.size === 0) {
+    return { score: 0, matchedTerms: [] };
+  }
+
+  const documentLength = [...documentTerms.values()].reduce((sum, count) => sum + count, 0);
+  const averageLength = index.averageLength || documentLength;
+  const lengthNorm = 1 - BM25_B + BM25_B * (documentLength / averageLength);
+
+  let score = 0;
+  let maxScore = 0;
+  const matchedTerms = [];
+  queryWords.forEach((word, term) => {
+    const idf = index.idf(term);
+    const frequency = documentTerms.get(term) || 0;
+    score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+    maxScore += idf;
+    if (frequency > 0) matchedTerms.push(word);
+  });
+
+  return {
+    score: maxScore > 0 ? Math.min(score / maxScore, 1) : 0,
+    matchedTerms
+  };
+}
+
+/**
+ * Index state (admin health)
+ */
+function getDishIndexState() {
+  return {
+    dishes: indexes.name.size,
+    nameTerms: indexes.name.documentFrequency.size,
+    descriptionTerms: indexes.description.documentFrequency.size,
+    loadedAt: loadedAt ? new Date(loadedAt).toISOString() : null,
+    failedAt: failedAt ? new Date(failedAt).toISOString() : null,
+    refreshMinutes: DISH_INDEX_REFRESH_MINUTES
+  };
+}
+
+module.exports = {
+  tokenize,
+  indexDishes,
+  rebuildDishIndex,
+  ensureDishIndex,
+  scoreTextMatch,
+  getDishIndexState
+};
@@ -0,0 +1,250 @@
+// utils/ingredients.js
+// Ingredient canonicalization for dish matching
+//
+// Ingredient names from the AI and from restaurant menus are reduced to one
+// canonical form: lowercase, without preparation words or quantities, singular,
+// with synonyms mapped to one name ("scallions" and "green onions" both become
+// "green onion"). A small hierarchy links specific ingredients to their general
+// one ("cheddar" → "cheese") so related ingredients get partial credit.
+
+// Words that describe preparation, size or state rather than the ingredient
+const DESCRIPTORS = new Set([
+  'fresh', 'freshly', 'chopped', 'diced', 'sliced', 'minced', 'grated', 'shredded', 'crushed',
+  'dried', 'frozen', 'canned', 'organic', 'large', 'small', 'medium', 'whole', 'finely',
+  'roughly', 'thinly', 'boneless', 'skinless', 'ripe', 'raw', 'cooked', 'toasted', 'roasted',
+  'extra', 'virgin', 'optional', 'homemade', 'sauteed', 'steamed', 'peeled', 'halved'
+]);
+
+// Words that end in "s" in their singular form
+const SINGULAR_EXCEPTIONS = new Set([
+  'asparagus', 'hummus', 'couscous', 'molasses', 'swiss', 'bass', 'citrus', 'octopus', 'grits',
+  'lemongrass', 'watercress', 'schnapps'
+]);
+
+const IRREGULAR_PLURALS = {
+  leaves: 'leaf',
+  halves: 'half',
+  loaves: 'loaf',
+  knives: 'knife',
+  chilies: 'chili',
+  chillies: 'chilli'
+};
+
+// Singulars ending in -ie, whose plurals are not -y words ("cookies" is not "cooky")
+const IE_SINGULARS = new Set([
+  'pie', 'cookie', 'brownie', 'smoothie', 'veggie', 'calorie', 'pierogie', 'lassie'
+]);
+
+// Alternative names → canonical name (keys and values are singular)
+const SYNONYMS = {
+  scallion: 'green onion',
+  'spring onion': 'green onion',
+  coriander: 'cilantro',
+  'coriander leaf': 'cilantro',
+  aubergine: 'eggplant',
+  courgette: 'zucchini',
+  'garbanzo bean': 'chickpea',
+  prawn: 'shrimp',
+  capsicum: 'bell pepper',
+  'sweet pepper': 'bell pepper',
+  rocket: 'arugula',
+  'minced beef': 'ground beef',
+  mince: 'ground beef',
+  'beef mince': 'ground beef',
+  chilli: 'chili',
+  chile: 'chili',
+  'chili pepper': 'chili',
+  yoghurt: 'yogurt',
+  'mozzarella cheese': 'mozzarella',
+  'cheddar cheese': 'cheddar',
+  'parmesan cheese': 'parmesan',
+  'parmigiano reggiano': 'parmesan',
+  parmigiano: 'parmesan',
+  'feta cheese': 'feta',
+  'icing sugar': 'powdered sugar',
+  "confectioners' sugar": 'powdered sugar',
+  cornflour: 'cornstarch',
+  beetroot: 'beet',
+  stock: 'broth',
+  'chicken stock': 'chicken broth',
+  'beef stock': 'beef broth',
+  'vegetable stock': 'vegetable broth',
+  'pork bone broth': 'pork broth',
+  'tonkotsu broth': 'pork broth',
+  'ramen noodle': 'ramen',
+  'udon noodle': 'udon',
+  'soba noodle': 'soba',
+  'spaghetti noodle': 'spaghetti',
+  shoyu: 'soy sauce',
+  'hard-boiled egg': 'egg',
+  'boiled egg': 'egg',
+  'soft-boiled egg': 'egg',
+  ajitama: 'egg',
+  'garlic clove': 'garlic',
+  'clove of garlic': 'garlic',
+  'tomato puree': 'tomato sauce',
+  passata: 'tomato sauce',
+  'marinara sauce': 'tomato sauce',
+  'basil leaf': 'basil',
+  'mint leaf': 'mint',
+  'pizza base': 'pizza dough',
+  'naan bread': 'naan',
+  'pita bread': 'pita'
+};
+
+// Specific ingredient → general ingredient (both canonical)
+const PARENTS = {
+  cheddar: 'cheese',
+  mozzarella: 'cheese',
+  parmesan: 'cheese',
+  feta: 'cheese',
+  ricotta: 'cheese',
+  gouda: 'cheese',
+  brie: 'cheese',
+  burrata: 'cheese',
+  paneer: 'cheese',
+  'ground beef': 'beef',
+  steak: 'beef',
+  'beef brisket': 'beef',
+  brisket: 'beef',
+  'chicken breast': 'chicken',
+  'chicken thigh': 'chicken',
+  'chicken wing': 'chicken',
+  'pork belly': 'pork',
+  chashu: 'pork',
+  'chashu pork': 'pork',
+  bacon: 'pork',
+  ham: 'pork',
+  'lamb shank': 'lamb',
+  salmon: 'fish',
+  tuna: 'fish',
+  cod: 'fish',
+  ramen: 'noodle',
+  udon: 'noodle',
+  soba: 'noodle',
+  'rice noodle': 'noodle',
+  'egg noodle': 'noodle',
+  spaghetti: 'pasta',
+  penne: 'pasta',
+  fettuccine: 'pasta',
+  linguine: 'pasta',
+  macaroni: 'pasta',
+  'basmati rice': 'rice',
+  'jasmine rice': 'rice',
+  'brown rice': 'rice',
+  'sushi rice': 'rice',
+  'cherry tomato': 'tomato',
+  'plum tomato': 'tomato',
+  'red onion': 'onion',
+  'white onion': 'onion',
+  'yellow onion': 'onion',
+  shallot: 'onion',
+  'green onion': 'onion',
+  'chicken broth': 'broth',
+  'beef broth': 'broth',
+  'pork broth': 'broth',
+  'vegetable broth': 'broth',
+  'miso broth': 'broth',
+  'soy broth': 'broth',
+  'olive oil': 'oil',
+  'vegetable oil': 'oil',
+  'sesame oil': 'oil',
+  'heavy cream': 'cream',
+  'sour cream': 'cream',
+  'whipped cream': 'cream',
+  'greek yogurt': 'yogurt',
+  'shiitake mushroom': 'mushroom',
+  'button mushroom': 'mushroom',
+  portobello: 'mushroom',
+  'black bean': 'bean',
+  'kidney bean': 'bean',
+  'pinto bean': 'bean',
+  'romaine lettuce': 'lettuce',
+  'iceberg lettuce': 'lettuce'
+};
+
+// Partial credit for a parent/child pair ("cheddar" vs "cheese") relative to an exact match
+const PARENT_MATCH_CREDIT = 0.5;
+
+// Canonical forms are memoized - ingredient vocabularies are small
+const MAX_CACHE_SIZE = 5000;
+const canonicalCache = new Map();
+
+/**
+ * Singular form of one word
+ */
+function singularizeWord(word) {
+  if (word.length <= 3 || SINGULAR_EXCEPTIONS.has(word)) return word;
+  if (IRREGULAR_PLURALS[word]) return IRREGULAR_PLURALS[word];
+  if (word.endsWith('ies')) {
+    return IE_SINGULARS.has(word.slice(0, -1)) ? word.slice(0, -1) : `${word.slice(0, -3)}y`;
+  }
+  if (word.endsWith('oes')) return word.slice(0, -2);
+  if (/(ch|sh|ss|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Reduce an ingredient name to its canonical form
+ * e.g. "2 Fresh Scallions (chopped)" → "green onion", "Tomatoes" → "tomato"
+ * @returns {string} Canonical name ('' when nothing is left)
+ */
+function canonicalizeIngredient(name) {
+  if (typeof name !== 'string') return '';
+  if (canonicalCache.has(name)) return canonicalCache.get(name);
+
+  const words = name
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')  // "jalapeño" → "jalapeno", "crème fraîche" → "creme fraiche"
+    .replace(/\(.*?\)/g, ' ')           // "(chopped)"
+    .split(',')[0]                      // "garlic, minced"
+    .replace(/^[\d\s/.½¼¾-]+(g|kg|ml|l|cups?|tbsp|tsp|oz|lbs?|pieces?)?\s+/, '')  // leading quantity
+    .replace(/[^\p{L}\p{M}\s'-]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !DESCRIPTORS.has(word))
+    .map(singularizeWord);
+
+  const singular = words.join(' ');
+  const canonical = SYNONYMS[singular] || singular;
+
+  if (canonicalCache.size >= MAX_CACHE_SIZE) {
+    canonicalCache.clear();
+  }
+  canonicalCache.set(name, canonical);
+  return canonical;
+}
+
+/**
+ * Canonicalize a list of ingredients, dropping empty names and duplicates
+ */
+function canonicalizeIngredients(ingredients) {
+  return [...new Set((ingredients || []).map(canonicalizeIngredient).filter(Boolean))];
+}
+
+/**
+ * General ingredient of a canonical ingredient, or null
+ */
+function getIngredientParent(canonical) {
+  return PARENTS[canonical] || null;
+}
+
+/**
+ * Credit for matching two canonical ingredients
+ * @returns {number} 1 for the same ingredient, PARENT_MATCH_CREDIT when one is
+ *   the other's general ingredient ("cheddar" / "cheese"), otherwise 0
+ */
+function compareIngredients(a, b) {
+  if (a === b) return 1;
+  if (getIngredientParent(a) === b || getIngredientParent(b) === a) return PARENT_MATCH_CREDIT;
+  return 0;
+}
+
+module.exports = {
+  PARENT_MATCH_CREDIT,
+  canonicalizeIngredient,
+  canonicalizeIngredients,
+  getIngredientParent,
+  compareIngredients
+};
@@ -0,0 +1,55 @@
+// utils/menuImport.js
+// Helpers for importing menu dishes extracted from photos
+
+/**
+ * Normalize a dish name for duplicate detection
+ * "Margherita Pizza!" and "margherita  pizza" are the same dish
+ * Letters of every script are kept ("ผัดไทย", "ラーメン"); only Latin accents are
+ * dropped - marks of other scripts (Thai vowels, Japanese dakuten) tell words apart
+ */
+function normalizeDishName(name) {
+  return (name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Flag dishes that already exist on the menu or appear earlier in the same import
+ * @param {Array} dishes - Dishes to import
+ * @param {Array} existingDishes - Current restaurant_dishes rows ({ id, name })
+ * @returns {Array} Dishes with `duplicate` and `duplicateOf` (existing dish id, or null
+ *   when the duplicate is another dish in the same import)
+ */
+function markDuplicates(dishes, existingDishes) {
+  const existingByName = new Map(
+    existingDishes.map(dish => [normalizeDishName(dish.name), dish.id])
+  );
+  const seen = new Set();
+
+  return dishes.map(dish => {
+    const key = normalizeDishName(dish.name);
+
+    // A name with nothing to compare (e.g. only punctuation) is never a duplicate
+    if (!key) {
+      return { ...dish, duplicate: false, duplicateOf: null };
+    }
+
+    const existingId = existingByName.get(key);
+    const duplicate = existingId !== undefined || seen.has(key);
+    seen.add(key);
+
+    return {
+      ...dish,
+      duplicate,
+      duplicateOf: existingId || null
+    };
+  });
+}
+
+module.exports = {
+  normalizeDishName,
+  markDuplicates
+};
@@ -0,0 +1,212 @@
+// utils/nearbyRestaurants.js
+// Fetch only the restaurants near a location instead of the whole table
+//
+// With PostGIS (restaurants_within_radius, see migration 015) the database does
+// the radius search; otherwise the query is limited to the bounding box around
+// the radius, which the (latitude, longitude) index serves. Either way,
+// filterByDistance then computes exact distances on the candidates. Without a
+// radius, findNearestRestaurants widens the search until a page is filled.
+const { createClient } = require('@supabase/supabase-js');
+const { filterByDistance } = require('./dishMatching');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const EARTH_RADIUS_KM = 6371;
+
+// First radius of a nearest-first search without a radius, and how fast it grows
+const INITIAL_SEARCH_RADIUS_KM = 5;
+const SEARCH_RADIUS_GROWTH = 4;
+
+// Half the earth's circumference - a radius that covers the whole globe
+const MAX_SEARCH_RADIUS_KM = Math.PI * EARTH_RADIUS_KM;
+
+// Rows per request - PostgREST returns at most 1000 rows, so dense areas are paged
+const PAGE_SIZE = 1000;
+
+// PostgREST / Postgres codes for a function that does not exist
+const MISSING_FUNCTION_CODES = ['PGRST202', '42883'];
+
+// null until the first search finds out whether restaurants_within_radius exists
+let postgisAvailable = null;
+
+const toDegrees = (radians) => radians * (180 / Math.PI);
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+/**
+ * Bounding box around a circle on the earth
+ * Longitudes are returned unwrapped (minLongitude may be below -180 or
+ * maxLongitude above 180 near the antimeridian); a circle reaching a pole
+ * covers every longitude.
+ * @returns {{ minLatitude, maxLatitude, minLongitude, maxLongitude }}
+ */
+function getBoundingBox(latitude, longitude, radiusKm) {
+  const angularRadius = radiusKm / EARTH_RADIUS_KM;
+  const minLatitude = latitude - toDegrees(angularRadius);
+  const maxLatitude = latitude + toDegrees(angularRadius);
+
+  if (minLatitude <= -90 || maxLatitude >= 90) {
+    return {
+      minLatitude: Math.max(minLatitude, -90),
+      maxLatitude: Math.min(maxLatitude, 90),
+      minLongitude: -180,
+      maxLongitude: 180
+    };
+  }
+
+  const deltaLongitude = toDegrees(Math.asin(Math.sin(angularRadius) / Math.cos(toRadians(latitude))));
+  return {
+    minLatitude,
+    maxLatitude,
+    minLongitude: longitude - deltaLongitude,
+    maxLongitude: longitude + deltaLongitude
+  };
+}
+
+/**
+ * Limit a restaurants query to a bounding box
+ */
+function applyBoundingBox(query, box) {
+  const boxed = query
+    .gte('latitude', box.minLatitude)
+    .lte('latitude', box.maxLatitude);
+
+  if (box.maxLongitude - box.minLongitude >= 360) {
+    return boxed;
+  }
+
+  // Across the antimeridian the box is two longitude ranges
+  if (box.minLongitude < -180) {
+    return boxed.or(`longitude.gte.${box.minLongitude + 360},longitude.lte.${box.maxLongitude}`);
+  }
+  if (box.maxLongitude > 180) {
+    return boxed.or(`longitude.gte.${box.minLongitude},longitude.lte.${box.maxLongitude - 360}`);
+  }
+
+  return boxed
+    .gte('longitude', box.minLongitude)
+    .lte('longitude', box.maxLongitude);
+}
+
+/**
+ * Fetch every row of a query, PAGE_SIZE rows at a time (ordered by id so pages do not overlap)
+ * @param {Function} buildQuery - Returns a fresh query for each page
+ * @returns {Promise<{ data: Array|null, error: Object|null }>}
+ */
+async function fetchAllPages(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery()
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) {
+      return { data: rows, error: null };
+    }
+  }
+}
+
+/**
+ * Run a nearby query through PostGIS when available, else through the bounding box
+ * @param {Function} refine - Adds filters to the query
+ */
+async function queryNearby(latitude, longitude, radiusKm, refine) {
+  if (postgisAvailable !== false) {
+    const { data, error } = await fetchAllPages(() => refine(supabase.rpc('restaurants_within_radius', {
+      p_latitude: latitude,
+      p_longitude: longitude,
+      p_radius_km: radiusKm
+    })));
+
+    if (!error) {
+      postgisAvailable = true;
+      return data;
+    }
+    if (!MISSING_FUNCTION_CODES.includes(error.code)) {
+      throw new Error('Failed to fetch restaurants');
+    }
+
+    postgisAvailable = false;
+    console.log('📍 PostGIS radius search not installed - using the bounding-box prefilter');
+  }
+
+  const box = getBoundingBox(latitude, longitude, radiusKm);
+  const { data, error } = await fetchAllPages(() => refine(
+    applyBoundingBox(supabase.from('restaurants').select('*'), box)
+  ));
+
+  if (error) {
+    throw new Error('Failed to fetch restaurants');
+  }
+  return data;
+}
+
+/**
+ * Restaurants within radiusKm of a location, nearest first, each with its distance (km)
+ * @param {Object} params
+ * @param {number} params.latitude
+ * @param {number} params.longitude
+ * @param {number} params.radiusKm
+ * @param {Function} [params.refine] - Adds filters to the query (e.g. query => query.eq('cuisine_type', ...))
+ */
+async function findRestaurantsWithin({ latitude, longitude, radiusKm, refine = query => query }) {
+  // Nothing can be within an invalid location or radius
+  if (![latitude, longitude, radiusKm].every(Number.isFinite) || radiusKm <= 0) {
+    return [];
+  }
+
+  const candidates = await queryNearby(latitude, longitude, radiusKm, refine);
+  return filterByDistance(candidates, latitude, longitude, radiusKm);
+}
+
+/**
+ * Restaurants nearest a location when no radius is given, nearest first, each with its distance (km)
+ * The search radius grows until more than `count` restaurants lie beyond
+ * `beyondKm` (where the previous page ended) or the radius covers the globe, so
+ * the next `count` restaurants are all in the result.
+ * @param {Object} params
+ * @param {number} params.latitude
+ * @param {number} params.longitude
+ * @param {number} params.count - Restaurants needed beyond beyondKm
+ * @param {number} [params.beyondKm] - Distance of the last restaurant already listed
+ * @param {Function} [params.refine] - Adds filters to the query
+ * @param {Function} [params.filter] - Filters the restaurants in memory (e.g. opening hours)
+ */
+async function findNearestRestaurants({ latitude, longitude, count, beyondKm = 0, refine, filter = restaurants => restaurants }) {
+  if (![latitude, longitude].every(Number.isFinite)) {
+    return [];
+  }
+
+  let radiusKm = Math.min(Math.max(INITIAL_SEARCH_RADIUS_KM, 2 * beyondKm), MAX_SEARCH_RADIUS_KM);
+  for (;;) {
+    const restaurants = filter(await findRestaurantsWithin({ latitude, longitude, radiusKm, refine }));
+    const beyond = restaurants.filter(restaurant => restaurant.distance > beyondKm).length;
+
+    if (beyond >= count || radiusKm >= MAX_SEARCH_RADIUS_KM) {
+      return restaurants;
+    }
+    radiusKm = Math.min(radiusKm * SEARCH_RADIUS_GROWTH, MAX_SEARCH_RADIUS_KM);
+  }
+}
+
+/**
+ * Which spatial search is in use (admin health)
+ */
+function getSpatialSearchMode() {
+  if (postgisAvailable === null) return 'unknown';
+  return postgisAvailable ? 'postgis' : 'bounding-box';
+}
+
+module.exports = {
+  getBoundingBox,
+  findRestaurantsWithin,
+  findNearestRestaurants,
+  getSpatialSearchMode
+};
@@ -0,0 +1,198 @@
+// utils/openingHours.js
+// Restaurant opening hours and "open at" checks
+//
+// restaurants.opening_hours holds the weekly hours in the restaurant's own
+// time (restaurants.timezone), restaurants.hours_exceptions the dates that
+// differ (see migration 017):
+//   opening_hours:    { "monday": [{ "open": "11:30", "close": "14:30" }, { "open": "18:00", "close": "02:00" }], ... }
+//   hours_exceptions: [{ "date": "2026-12-25", "closed": true }, { "date": "2026-12-31", "hours": [...] }]
+// A day without intervals is closed; a close time at or before the open time
+// is on the next day.
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Indexed like Date#getUTCDay
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_PATTERN = /^(?:([01]\d|2[0-3]):([0-5]\d)|24:00)$/;
+
+// Intl formatters are costly to create - one per timezone
+const formatters = new Map();
+
+/**
+ * Formatter for local date and time in a timezone (unknown timezones are read as UTC)
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    } catch (error) {
+      console.error(`Unknown restaurant timezone "${timeZone}" - using ${DEFAULT_TIMEZONE}`);
+      formatter = getFormatter(DEFAULT_TIMEZONE);
+    }
+    formatters.set(timeZone, formatter);
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Minutes since midnight of an 'HH:MM' time ('24:00' is the end of the day)
+ * @returns {number|null} null if the time is malformed
+ */
+function parseTime(time) {
+  const match = typeof time === 'string' ? TIME_PATTERN.exec(time) : null;
+  if (!match) return null;
+  return match[1] === undefined ? MINUTES_PER_DAY : parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Date (YYYY-MM-DD), weekday and minutes since midnight of an instant in a timezone
+ */
+function getLocalTime(date, timeZone) {
+  const parts = getFormatter(timeZone).formatToParts(date);
+  const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+  return {
+    ...getCalendarDay(Date.UTC(values.year, values.month - 1, values.day)),
+    minutes: parseInt(values.hour) * 60 + parseInt(values.minute)
+  };
+}
+
+/**
+ * Date string and weekday of a UTC midnight timestamp
+ */
+function getCalendarDay(timestamp) {
+  const day = new Date(timestamp);
+  return {
+    date: day.toISOString().slice(0, 10),
+    weekday: WEEKDAYS[day.getUTCDay()]
+  };
+}
+
+/**
+ * Valid intervals of a day as minutes ({ open, close }, close past midnight when close <= open)
+ */
+function parseIntervals(intervals) {
+  if (!Array.isArray(intervals)) return [];
+
+  return intervals
+    .map(interval => ({ open: parseTime(interval?.open), close: parseTime(interval?.close) }))
+    .filter(({ open, close }) => open !== null && open < MINUTES_PER_DAY && close !== null);
+}
+
+function hasOpeningHours(restaurant) {
+  const hours = restaurant?.opening_hours;
+  return Boolean(hours) && typeof hours === 'object' && !Array.isArray(hours);
+}
+
+function getExceptions(restaurant) {
+  return Array.isArray(restaurant.hours_exceptions) ? restaurant.hours_exceptions : [];
+}
+
+/**
+ * Intervals of one calendar day: its exception if there is one, else the weekly hours
+ */
+function getDayIntervals(restaurant, { date, weekday }) {
+  const exception = getExceptions(restaurant).find(entry => entry?.date === date);
+  if (exception) {
+    return exception.closed ? [] : parseIntervals(exception.hours);
+  }
+  return parseIntervals(restaurant.opening_hours[weekday]);
+}
+
+/**
+ * Whether a restaurant is open at an instant
+ * @returns {boolean|null} null when the restaurant has no opening hours
+ */
+function isOpenAt(restaurant, date = new Date()) {
+  if (!hasOpeningHours(restaurant)) return null;
+
+  const local = getLocalTime(date, restaurant.timezone || DEFAULT_TIMEZONE);
+  const previousDay = getCalendarDay(Date.parse(local.date) - MINUTES_PER_DAY * 60 * 1000);
+
+  const openToday = getDayIntervals(restaurant, local).some(({ open, close }) =>
+    local.minutes >= open && local.minutes < (close > open ? close : MINUTES_PER_DAY)
+  );
+
+  // Intervals that started the day before and run past midnight
+  const openSinceYesterday = getDayIntervals(restaurant, previousDay).some(({ open, close }) =>
+    close <= open && local.minutes < close
+  );
+
+  return openToday || openSinceYesterday;
+}
+
+/**
+ * Parse the openNow / openAt filter of a request
+ * @returns {{ openAt: Date|null, error: string|null }} openAt is null when no filter was asked for
+ */
+function parseOpenFilter({ openNow, openAt }) {
+  if (openAt !== undefined && openAt !== null && openAt !== '') {
+    // Without an offset the time would be read in the server's timezone
+    const time = typeof openAt === 'string' && /(?:Z|[+-]\d{2}:?\d{2})$/i.test(openAt)
+      ? new Date(openAt)
+      : null;
+
+    if (!time || Number.isNaN(time.getTime())) {
+      return { openAt: null, error: 'openAt must be an ISO 8601 date-time with a timezone offset (e.g. 2026-10-19T19:30:00+02:00)' };
+    }
+    return { openAt: time, error: null };
+  }
+
+  if (openNow === undefined || openNow === null || openNow === '' || openNow === false || openNow === 'false') {
+    return { openAt: null, error: null };
+  }
+  if (openNow === true || openNow === 'true') {
+    return { openAt: new Date(), error: null };
+  }
+  return { openAt: null, error: 'openNow must be true or false' };
+}
+
+/**
+ * Restaurants open at an instant (those without opening hours are left out)
+ */
+function filterOpenAt(restaurants, openAt) {
+  if (!openAt) return restaurants;
+  return restaurants.filter(restaurant => isOpenAt(restaurant, openAt) === true);
+}
+
+/**
+ * Opening hours of a restaurant for API responses
+ * weekly lists every day (Monday first, [] when closed); exceptions are those from today on
+ */
+function formatOpeningHours(restaurant, now = new Date()) {
+  const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+
+  if (!hasOpeningHours(restaurant)) {
+    return { timezone, weekly: null, exceptions: [], openNow: null };
+  }
+
+  const today = getLocalTime(now, timezone).date;
+  const weekly = Object.fromEntries(
+    [...WEEKDAYS.slice(1), WEEKDAYS[0]].map(weekday => [
+      weekday,
+      Array.isArray(restaurant.opening_hours[weekday]) ? restaurant.opening_hours[weekday] : []
+    ])
+  );
+  const exceptions = getExceptions(restaurant)
+    .filter(entry => typeof entry?.date === 'string' && entry.date >= today)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return { timezone, weekly, exceptions, openNow: isOpenAt(restaurant, now) };
+}
+
+module.exports = {
+  isOpenAt,
+  parseOpenFilter,
+  filterOpenAt,
+  formatOpeningHours
+};
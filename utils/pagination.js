@@ -0,0 +1,245 @@
+// utils/pagination.js
+// Cursor pagination and sorting for list endpoints
+//
+// A cursor holds the sort value and id of the last item of a page (base64url
+// JSON), so the next page starts right after that item even when rows were added
+// or removed in between. Lists sorted by the database are paged with a keyset
+// condition (applyKeysetPage + finishKeysetPage); lists built in memory
+// (distances, match scores) are sorted and sliced by paginateItems. Database
+// lists that are also filtered in memory are paged by fetchFilteredKeysetPage.
+
+// Items per page when no limit is given, and the most a client can ask for
+const DEFAULT_PAGE_SIZE = parseInt(process.env.DEFAULT_PAGE_SIZE) || 20;
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE) || 100;
+
+// Sort options and their direction - ties are broken by id (ascending) and
+// items without a value come last
+const SORT_DIRECTIONS = {
+  distance: 'asc',
+  name: 'asc',
+  price: 'asc',
+  rating: 'desc',
+  similarity: 'desc',
+  recency: 'desc'
+};
+
+const isCursorValue = (value) => value === null || typeof value === 'string' || Number.isFinite(value);
+
+/**
+ * Encode the position of an item as a cursor
+ */
+function encodeCursor(sort, { value, id }) {
+  return Buffer.from(JSON.stringify({ sort, value, id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @returns {Object|null} { sort, value, id }, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded.sort !== 'string' || !isCursorValue(decoded.value) ||
+        decoded.id === null || !isCursorValue(decoded.id)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse sort / limit / cursor from a request query or body
+ * @param {Object} params - { sort, limit, cursor }
+ * @param {Object} options
+ * @param {Object} options.sorts - Sort options of the endpoint → field (a column, or a
+ *   dotted path such as 'restaurant.distance' for lists paged in memory)
+ * @param {string} options.defaultSort
+ * @param {number} [options.defaultLimit]
+ * @returns {{ pagination: Object, error: string|null }}
+ */
+function parsePagination(params, { sorts, defaultSort, defaultLimit = DEFAULT_PAGE_SIZE }) {
+  const { limit, cursor } = params || {};
+  const sort = params?.sort ?? defaultSort;
+  const sortNames = Object.keys(sorts);
+
+  if (!sortNames.includes(sort)) {
+    return { pagination: null, error: `sort must be one of: ${sortNames.join(', ')}` };
+  }
+
+  let pageSize = Math.min(defaultLimit, MAX_PAGE_SIZE);
+  if (limit !== undefined && limit !== null && limit !== '') {
+    const requested = Number(limit);
+    if (!Number.isInteger(requested) || requested < 1) {
+      return { pagination: null, error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+    // Larger pages are capped rather than refused
+    pageSize = Math.min(requested, MAX_PAGE_SIZE);
+  }
+
+  let after = null;
+  if (cursor !== undefined && cursor !== null && cursor !== '') {
+    after = decodeCursor(cursor);
+    if (!after || after.sort !== sort) {
+      return { pagination: null, error: 'Invalid cursor - request the first page again' };
+    }
+  }
+
+  return {
+    pagination: {
+      sort,
+      field: sorts[sort],
+      direction: SORT_DIRECTIONS[sort],
+      limit: pageSize,
+      after
+    },
+    error: null
+  };
+}
+
+/**
+ * Sort value and id of an item (missing and non-finite values become null)
+ */
+function getSortKey(item, field) {
+  const value = field.split('.').reduce((current, key) => current?.[key], item);
+  const missing = value === undefined || value === null || (typeof value === 'number' && !Number.isFinite(value));
+  return { value: missing ? null : value, id: item.id };
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Order of two sort keys: by value in the sort direction (nulls last), then by id
+ */
+function compareKeys(a, b, direction) {
+  if (a.value === null || b.value === null) {
+    if (a.value !== b.value) return a.value === null ? 1 : -1;
+  } else {
+    const order = compareValues(a.value, b.value);
+    if (order !== 0) return direction === 'asc' ? order : -order;
+  }
+  return compareValues(a.id, b.id);
+}
+
+/**
+ * Sort a list in memory and cut out the page after the cursor
+ * @returns {{ items: Array, next_cursor: string|null }}
+ */
+function paginateItems(items, pagination) {
+  const { sort, field, direction, limit, after } = pagination;
+
+  const keyed = (items || []).map(item => ({ item, key: getSortKey(item, field) }));
+  keyed.sort((a, b) => compareKeys(a.key, b.key, direction));
+
+  const remaining = after
+    ? keyed.filter(({ key }) => compareKeys(key, after, direction) > 0)
+    : keyed;
+  const page = remaining.slice(0, limit);
+
+  return {
+    items: page.map(({ item }) => item),
+    next_cursor: remaining.length > limit ? encodeCursor(sort, page[page.length - 1].key) : null
+  };
+}
+
+/**
+ * Value in a PostgREST logical filter (strings are quoted so commas, dots and
+ * parentheses in them are taken literally)
+ */
+function formatFilterValue(value) {
+  return typeof value === 'number' ? String(value) : `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * PostgREST filter for the rows after a cursor
+ */
+function getKeysetFilter(field, direction, { value, id }) {
+  const idAfter = `id.gt.${formatFilterValue(id)}`;
+
+  // Nulls come last, so only nulls with a greater id follow a null
+  if (value === null) {
+    return `and(${field}.is.null,${idAfter})`;
+  }
+
+  const operator = direction === 'asc' ? 'gt' : 'lt';
+  const formatted = formatFilterValue(value);
+  return `${field}.${operator}.${formatted},and(${field}.eq.${formatted},${idAfter}),${field}.is.null`;
+}
+
+/**
+ * Sort a Supabase query and limit it to the page after the cursor
+ * One extra row is fetched to tell whether there is a next page (see finishKeysetPage)
+ */
+function applyKeysetPage(query, pagination) {
+  const { field, direction, limit, after } = pagination;
+
+  let paged = query
+    .order(field, { ascending: direction === 'asc', nullsFirst: false })
+    .order('id', { ascending: true });
+
+  if (after) {
+    paged = paged.or(getKeysetFilter(field, direction, after));
+  }
+
+  return paged.limit(limit + 1);
+}
+
+/**
+ * Page and next cursor from the rows of a query built with applyKeysetPage
+ * @returns {{ items: Array, next_cursor: string|null }}
+ */
+function finishKeysetPage(rows, pagination) {
+  const { sort, field, limit } = pagination;
+  const items = (rows || []).slice(0, limit);
+
+  return {
+    items,
+    next_cursor: (rows || []).length > limit ? encodeCursor(sort, getSortKey(items[items.length - 1], field)) : null
+  };
+}
+
+/**
+ * Keyset page of a query whose rows are also filtered in memory (e.g. opening hours)
+ * Rows after the cursor are fetched in batches of MAX_PAGE_SIZE until the page
+ * is filled or they run out.
+ * @param {Function} buildQuery - Returns a fresh, unsorted query for each batch
+ * @param {Object} pagination - From parsePagination
+ * @param {Function} keep - Returns the rows of a batch to keep
+ * @returns {Promise<{ page: { items: Array, next_cursor: string|null }|null, error: Object|null }>}
+ */
+async function fetchFilteredKeysetPage(buildQuery, pagination, keep) {
+  const batch = { ...pagination, limit: Math.max(pagination.limit, MAX_PAGE_SIZE) };
+  const kept = [];
+
+  for (;;) {
+    const { data: rows, error } = await applyKeysetPage(buildQuery(), batch);
+    if (error) {
+      return { page: null, error };
+    }
+
+    const fetched = rows.slice(0, batch.limit);
+    kept.push(...keep(fetched));
+
+    // One kept row past the page tells there is a next page
+    if (kept.length > pagination.limit || rows.length <= batch.limit) {
+      return { page: finishKeysetPage(kept, pagination), error: null };
+    }
+    batch.after = getSortKey(fetched[fetched.length - 1], pagination.field);
+  }
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginateItems,
+  applyKeysetPage,
+  finishKeysetPage,
+  fetchFilteredKeysetPage
+};
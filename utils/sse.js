@@ -0,0 +1,45 @@
+// utils/sse.js
+// Minimal Server-Sent Events helper
+
+/**
+ * Switch a response to an event stream
+ * @returns {{ send: Function, close: Function, isOpen: Function }}
+ */
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering so events arrive immediately
+  });
+  res.flushHeaders();
+
+  let open = true;
+  res.on('close', () => {
+    open = false;
+  });
+
+  return {
+    /**
+     * Send one event (ignored once the client has disconnected)
+     */
+    send(event, data) {
+      if (!open) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (!open) return;
+      open = false;
+      res.end();
+    },
+
+    isOpen() {
+      return open;
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};